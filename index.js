@@ -6,9 +6,17 @@ const cors = require('cors');
 
 // Import models to ensure they are registered with Mongoose
 require('./models');
+const { startCourseScheduler } = require('./utils/courseScheduler');
 
 const app = express();
 
+// Behind a reverse proxy (Render, Nginx, etc.) req.ip must come from X-Forwarded-For,
+// otherwise per-IP login/OTP limits would treat every client as the proxy.
+const TRUST_PROXY = (process.env.TRUST_PROXY || '').trim();
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' || TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -17,6 +25,7 @@ app.use(express.urlencoded({ extended: true }));
 // Static files (images only). Videos stay protected and are streamed via auth-checked route.
 app.use('/uploads/qr-codes', express.static(path.join(__dirname, 'uploads/qr-codes')));
 app.use('/uploads/thumbnails', express.static(path.join(__dirname, 'uploads/thumbnails')));
+app.use('/uploads/avatars', express.static(path.join(__dirname, 'uploads/avatars')));
 app.use('/uploads/payment-proofs', express.static(path.join(__dirname, 'uploads/payment-proofs')));
 
 // Database Connection
@@ -32,11 +41,14 @@ mongoose.set('bufferCommands', false);
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/courses', require('./routes/courses'));
+app.use('/api/categories', require('./routes/categories'));
+app.use('/api/bundles', require('./routes/bundles'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/levels', require('./routes/levels'));
 app.use('/api/progress', require('./routes/progress'));
 app.use('/api/payments', require('./routes/payments'));
 app.use('/api/quizzes', require('./routes/quizzes'));
+app.use('/api/search', require('./routes/search'));
 
 app.get('/', (req, res) => {
   res.json({ message: 'Welcome to the Video Learning Platform API' });
@@ -63,6 +75,7 @@ const start = async () => {
   try {
     await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: MONGO_SERVER_SELECTION_TIMEOUT_MS });
     console.log('Connected to MongoDB');
+    startCourseScheduler();
 
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
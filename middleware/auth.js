@@ -4,22 +4,126 @@
  */
 
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { User, Session } = require('../models');
+const { verifyStreamSignature } = require('../utils/streamUrls');
+const { isApiKeyFormat, findActiveApiKey } = require('../utils/apiKeys');
+const { buildAccountInactiveResponse } = require('../utils/suspensions');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const IMPERSONATION_TTL_MINUTES = Number(process.env.IMPERSONATION_TTL_MINUTES) || 15;
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Load the active session referenced by an access token.
+ * Tokens without a session id (issued before sessions existed) are treated as revoked.
+ */
+const findActiveSession = async (decoded) => {
+  if (!decoded?.sid) return null;
+  // Impersonation tokens ride on the admin's own session (`imp` is the admin id).
+  const session = await Session.findOne({ _id: decoded.sid, userId: decoded.imp || decoded.id });
+  return session && session.isActive() ? session : null;
+};
+
+/**
+ * For "view as student" tokens, load the admin behind them. Returns null when the token
+ * is not an impersonation token, false when the admin can no longer impersonate.
+ */
+const loadImpersonator = async (decoded) => {
+  if (!decoded?.imp) return null;
+  const admin = await User.findById(decoded.imp).select('name email role status');
+  return admin && admin.role === 'admin' && admin.status === 'active' ? admin : false;
+};
+
+/**
+ * Mark a route as callable with an API key holding `scope`. Must run before authenticate;
+ * routes without it reject API keys.
+ */
+const allowApiKey = (scope) => (req, res, next) => {
+  req.apiKeyScope = scope;
+  next();
+};
+
+/**
+ * Mark a route as usable by an admin who has not enrolled in two-factor authentication
+ * yet (enrollment, /me, logout). Must run before authenticate; every other route refuses
+ * those sessions until 2FA is enabled.
+ */
+const allowPendingTwoFactorSetup = (req, res, next) => {
+  req.allowPendingTwoFactorSetup = true;
+  next();
+};
+
+// Admins must pass a second factor; until they enroll, their session only reaches enrollment.
+const needsTwoFactorSetup = (user) => user.role === 'admin' && !user.twoFactorEnabled;
 
 /**
- * Verify JWT token from Authorization header
+ * Authenticate an integration API key. Requests run as the admin who created the key.
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  if (!req.apiKeyScope) {
+    return res.status(403).json({
+      message: 'API keys cannot be used for this endpoint.',
+      code: 'API_KEY_NOT_ALLOWED'
+    });
+  }
+
+  const apiKey = await findActiveApiKey(key, req.ip);
+  if (!apiKey) {
+    return res.status(401).json({
+      message: 'Invalid, expired or revoked API key.',
+      code: 'INVALID_API_KEY'
+    });
+  }
+
+  if (!apiKey.scopes.includes(req.apiKeyScope)) {
+    return res.status(403).json({
+      message: `API key is missing the ${req.apiKeyScope} scope.`,
+      code: 'API_KEY_SCOPE_REQUIRED',
+      requiredScope: req.apiKeyScope
+    });
+  }
+
+  const owner = await User.findById(apiKey.createdBy).select('-password');
+  if (!owner || owner.role !== 'admin' || owner.status !== 'active') {
+    return res.status(401).json({
+      message: 'The admin who created this API key no longer has access.',
+      code: 'INVALID_API_KEY'
+    });
+  }
+
+  // Keys never reach the enrollment routes, so an owner without 2FA cannot use them at all.
+  if (needsTwoFactorSetup(owner)) {
+    return res.status(403).json({
+      message: 'The admin who created this API key must set up two-factor authentication first.',
+      code: 'TWO_FACTOR_SETUP_REQUIRED'
+    });
+  }
+
+  req.user = owner;
+  req.userId = owner._id;
+  req.userRole = owner.role;
+  req.apiKey = apiKey;
+
+  next();
+};
+
+/**
+ * Verify JWT token from Authorization header, or an API key on routes marked with allowApiKey
  */
 const authenticate = async (req, res, next) => {
   try {
-    // Get token from header
+    // Get token from header. Query-string tokens are not accepted: they end up in logs,
+    // history and referrers. Video playback uses signed stream URLs instead.
     const authHeader = req.headers.authorization;
-    const queryToken = req.query?.token;
 
-    const tokenFromHeader = authHeader && authHeader.startsWith('Bearer ')
+    const token = authHeader && authHeader.startsWith('Bearer ')
       ? authHeader.split(' ')[1]
       : null;
 
-    const token = tokenFromHeader || queryToken;
+    const apiKey = req.headers['x-api-key'] || (isApiKeyFormat(token) ? token : null);
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
     
     if (!token) {
       return res.status(401).json({ 
@@ -31,6 +135,30 @@ const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
 
+    const session = await findActiveSession(decoded);
+    if (!session) {
+      return res.status(401).json({
+        message: 'Session has ended. Please login again.',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    const impersonator = await loadImpersonator(decoded);
+    if (impersonator === false) {
+      return res.status(401).json({
+        message: 'Impersonation is no longer allowed for this admin.',
+        code: 'IMPERSONATION_ENDED'
+      });
+    }
+
+    // Impersonation is strictly read-only: no payments, progress, quiz attempts or profile edits.
+    if (impersonator && !READ_ONLY_METHODS.includes(req.method)) {
+      return res.status(403).json({
+        message: 'Read-only while viewing as a student.',
+        code: 'IMPERSONATION_READ_ONLY'
+      });
+    }
+
     // Check if user still exists
     const user = await User.findById(decoded.id).select('-password');
     
@@ -41,11 +169,15 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Check if user is active
+    // Check if user is active (suspended users get the suspension message and end date)
     if (user.status !== 'active') {
-      return res.status(403).json({ 
-        message: 'Account is not active. Please contact support.',
-        code: 'ACCOUNT_INACTIVE'
+      return res.status(403).json(await buildAccountInactiveResponse(user));
+    }
+
+    if (needsTwoFactorSetup(user) && !req.allowPendingTwoFactorSetup) {
+      return res.status(403).json({
+        message: 'Set up two-factor authentication to continue.',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
       });
     }
 
@@ -53,6 +185,11 @@ const authenticate = async (req, res, next) => {
     req.user = user;
     req.userId = user._id;
     req.userRole = user.role;
+    req.sessionId = session._id;
+    if (impersonator) {
+      req.impersonator = impersonator;
+      req.impersonationExpiresAt = new Date(decoded.exp * 1000);
+    }
 
     next();
   } catch (error) {
@@ -65,7 +202,7 @@ const authenticate = async (req, res, next) => {
     
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ 
-        message: 'Token expired. Please login again.',
+        message: 'Access token expired. Refresh the session or login again.',
         code: 'TOKEN_EXPIRED'
       });
     }
@@ -91,11 +228,18 @@ const optionalAuthenticate = async (req, res, next) => {
   try {
     const token = authHeader.split(' ')[1];
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
-    const user = await User.findById(decoded.id).select('-password');
-    if (user && user.status === 'active') {
+    const session = await findActiveSession(decoded);
+    const impersonator = session ? await loadImpersonator(decoded) : null;
+    const user = session && impersonator !== false ? await User.findById(decoded.id).select('-password') : null;
+    if (user && user.status === 'active' && !needsTwoFactorSetup(user)) {
       req.user = user;
       req.userId = user._id;
       req.userRole = user.role;
+      req.sessionId = session._id;
+      if (impersonator) {
+        req.impersonator = impersonator;
+        req.impersonationExpiresAt = new Date(decoded.exp * 1000);
+      }
     }
   } catch (error) {
     // Ignore token errors for optional auth but log for diagnostics
@@ -105,6 +249,67 @@ const optionalAuthenticate = async (req, res, next) => {
   next();
 };
 
+/**
+ * Authenticate GET /levels/:id/stream from a signed URL issued by /levels/:id/stream-url.
+ * The signature is bound to the level in the path, the user and the login session.
+ */
+const authenticateSignedStream = async (req, res, next) => {
+  try {
+    const { uid, sid, exp, sig } = req.query;
+    const signatureState = verifyStreamSignature({
+      levelId: req.params.id,
+      userId: uid,
+      sessionId: sid,
+      expiresAt: exp,
+      signature: sig
+    });
+
+    if (signatureState === 'expired') {
+      return res.status(401).json({
+        message: 'Stream link expired. Request a new one.',
+        code: 'STREAM_URL_EXPIRED'
+      });
+    }
+
+    if (signatureState !== 'valid') {
+      return res.status(401).json({
+        message: 'Invalid stream link.',
+        code: 'INVALID_STREAM_SIGNATURE'
+      });
+    }
+
+    // Logging out (or an admin suspending the account) also ends open stream links.
+    const session = await findActiveSession({ id: uid, sid });
+    if (!session) {
+      return res.status(401).json({
+        message: 'Session has ended. Please login again.',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    const user = await User.findById(uid).select('-password');
+    if (!user || user.status !== 'active') {
+      return res.status(403).json({
+        message: 'Account is not active. Please contact support.',
+        code: 'ACCOUNT_INACTIVE'
+      });
+    }
+
+    req.user = user;
+    req.userId = user._id;
+    req.userRole = user.role;
+    req.sessionId = session._id;
+
+    next();
+  } catch (error) {
+    console.error('Stream auth error:', error);
+    return res.status(500).json({
+      message: 'Server error during authentication.',
+      code: 'AUTH_ERROR'
+    });
+  }
+};
+
 /**
  * Restrict access to admin users only
  */
@@ -118,6 +323,20 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
+/**
+ * Restrict access to users who can manage course content (admins and instructors).
+ * Per-course ownership is checked in the route with isCourseManager.
+ */
+const requireCourseStaff = (req, res, next) => {
+  if (req.userRole !== 'admin' && req.userRole !== 'instructor') {
+    return res.status(403).json({
+      message: 'Access denied. Instructor or admin privileges required.',
+      code: 'COURSE_STAFF_REQUIRED'
+    });
+  }
+  next();
+};
+
 /**
  * Restrict access to student users only
  */
@@ -132,20 +351,41 @@ const requireStudent = (req, res, next) => {
 };
 
 /**
- * Generate JWT token for user
+ * Generate a short-lived access token bound to a login session
  */
-const generateToken = (userId) => {
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { id: userId },
+    { id: userId, sid: sessionId },
+    process.env.JWT_SECRET || 'fallback-secret',
+    { expiresIn: ACCESS_TOKEN_EXPIRE }
+  );
+};
+
+/**
+ * Short-lived, read-only token for an admin viewing the API as a student.
+ * Bound to the admin's session, so logging the admin out also ends it.
+ */
+const generateImpersonationToken = (studentId, adminId, sessionId) => {
+  const token = jwt.sign(
+    { id: studentId, sid: sessionId, imp: adminId },
     process.env.JWT_SECRET || 'fallback-secret',
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: `${IMPERSONATION_TTL_MINUTES}m` }
   );
+  return {
+    token,
+    expiresAt: new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000)
+  };
 };
 
 module.exports = {
   authenticate,
+  allowApiKey,
+  allowPendingTwoFactorSetup,
   requireAdmin,
+  requireCourseStaff,
   requireStudent,
   generateToken,
-  optionalAuthenticate
+  generateImpersonationToken,
+  optionalAuthenticate,
+  authenticateSignedStream
 };
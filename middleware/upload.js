@@ -15,7 +15,8 @@ const createUploadDirs = () => {
     'videos',
     'qr-codes',
     'payment-proofs',
-    'thumbnails'
+    'thumbnails',
+    'avatars'
   ];
   
   dirs.forEach(dir => {
@@ -76,6 +77,16 @@ const thumbnailStorage = multer.diskStorage({
   }
 });
 
+// Avatar upload configuration
+const avatarStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, path.join(UPLOAD_ROOT, 'avatars'));
+  },
+  filename: (req, file, cb) => {
+    cb(null, generateFilename(file.originalname));
+  }
+});
+
 // File filter for videos
 const videoFileFilter = (req, file, cb) => {
   const ext = path.extname(file.originalname || '').toLowerCase();
@@ -152,6 +163,14 @@ const uploadThumbnail = multer({
   }
 });
 
+const uploadAvatar = multer({
+  storage: avatarStorage,
+  fileFilter: imageFileFilter,
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB max file size
+  }
+});
+
 // Error handler for multer
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -182,5 +201,6 @@ module.exports = {
   uploadQRCode,
   uploadPaymentProof,
   uploadThumbnail,
+  uploadAvatar,
   handleUploadError
 };
@@ -0,0 +1,79 @@
+/**
+ * ApiKey Model
+ * Named, scoped keys that let integrations (CRM, reporting scripts) call read-only admin endpoints
+ */
+
+const mongoose = require('mongoose');
+
+const API_KEY_SCOPES = ['payments:read', 'students:read', 'progress:read', 'reports:read'];
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // First characters of the key, shown in listings so admins can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // sha256 of the full key; the key itself is only shown once at creation
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    validate: {
+      validator: (scopes) => Array.isArray(scopes) && scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  // Requests run with this admin's identity; the key stops working if they lose admin rights
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: ''
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      return ret;
+    }
+  }
+});
+
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
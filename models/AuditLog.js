@@ -0,0 +1,93 @@
+/**
+ * AuditLog Model
+ * Append-only record of admin and course-staff mutations (who did what, to what, from where)
+ */
+
+const mongoose = require('mongoose');
+
+const AUDIT_TARGET_TYPES = ['user', 'course', 'level', 'quiz', 'payment', 'lockout', 'invitation', 'api_key', 'reactivation_request', 'category', 'bundle'];
+
+const auditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Copied at write time so entries stay readable after the actor is deleted
+  actorEmail: {
+    type: String,
+    default: ''
+  },
+  actorRole: {
+    type: String,
+    default: ''
+  },
+  // Dotted verb, e.g. `payment.status_update`, `user.role_change`, `course.delete`
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  targetType: {
+    type: String,
+    enum: AUDIT_TARGET_TYPES,
+    required: true
+  },
+  targetId: {
+    type: String,
+    default: null
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are append-only: block every update/delete path Mongoose offers.
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach((operation) => {
+  auditLogSchema.pre(operation, { document: false, query: true }, rejectMutation);
+});
+
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+auditLogSchema.statics.TARGET_TYPES = AUDIT_TARGET_TYPES;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
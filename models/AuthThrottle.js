@@ -0,0 +1,71 @@
+/**
+ * AuthThrottle Model
+ * Tracks failed logins and OTP requests per account (email) and per IP address
+ */
+
+const mongoose = require('mongoose');
+
+const THROTTLE_SCOPES = ['login_account', 'login_ip', 'otp_account', 'otp_ip'];
+
+const authThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scope: {
+    type: String,
+    enum: THROTTLE_SCOPES,
+    required: true
+  },
+  // Normalized email for account scopes, client IP for IP scopes
+  identifier: {
+    type: String,
+    required: true
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Number of lockouts so far; each one doubles the next lockout duration
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+  // OTP scopes: requests sent in the current daily window
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+  lastRequestAt: {
+    type: Date,
+    default: null
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+authThrottleSchema.index({ scope: 1, identifier: 1 });
+
+// Idle entries (and with them progressive lockout history) are dropped automatically.
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+authThrottleSchema.statics.SCOPES = THROTTLE_SCOPES;
+
+module.exports = mongoose.model('AuthThrottle', authThrottleSchema);
@@ -0,0 +1,62 @@
+/**
+ * Bundle Model
+ * Admin-defined set of courses sold together at one price with a single payment
+ */
+
+const mongoose = require('mongoose');
+
+const BUNDLE_STATUSES = ['draft', 'published', 'archived'];
+const MIN_BUNDLE_COURSES = 2;
+const MAX_BUNDLE_COURSES = 20;
+
+const bundleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Bundle title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  courseIds: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    }],
+    validate: {
+      validator: (ids) => ids.length >= MIN_BUNDLE_COURSES && ids.length <= MAX_BUNDLE_COURSES,
+      message: `A bundle must contain between ${MIN_BUNDLE_COURSES} and ${MAX_BUNDLE_COURSES} courses`
+    }
+  },
+  price: {
+    type: Number,
+    required: [true, 'Bundle price is required'],
+    min: [1, 'Bundle price must be greater than 0']
+  },
+  // Only published bundles are listed to students and can be paid for
+  status: {
+    type: String,
+    enum: BUNDLE_STATUSES,
+    default: 'draft'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+bundleSchema.index({ status: 1, createdAt: -1 });
+bundleSchema.index({ courseIds: 1 });
+
+bundleSchema.statics.STATUSES = BUNDLE_STATUSES;
+bundleSchema.statics.MIN_COURSES = MIN_BUNDLE_COURSES;
+bundleSchema.statics.MAX_COURSES = MAX_BUNDLE_COURSES;
+
+module.exports = mongoose.model('Bundle', bundleSchema);
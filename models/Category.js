@@ -0,0 +1,39 @@
+/**
+ * Category Model
+ * Admin-managed course categories for the catalog (e.g. Programming, Design)
+ */
+
+const mongoose = require('mongoose');
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [80, 'Category name cannot exceed 80 characters']
+  },
+  // URL-friendly identifier used in catalog filters, e.g. ?category=web-development
+  slug: {
+    type: String,
+    required: [true, 'Category slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and hyphens']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Lower numbers are listed first in the storefront sidebar
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Category', categorySchema);
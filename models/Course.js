@@ -6,6 +6,12 @@
 const mongoose = require('mongoose');
 const { sendNewCourseAnnouncementEmail } = require('../utils/mail');
 
+const COURSE_STATUSES = ['draft', 'published', 'archived'];
+const COURSE_DIFFICULTIES = ['beginner', 'intermediate', 'advanced', 'all_levels'];
+const MAX_COURSE_TAGS = 10;
+const PREREQUISITE_POLICIES = ['required', 'recommended'];
+const MAX_PREREQUISITES = 10;
+
 const courseSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -52,13 +58,98 @@ const courseSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: COURSE_STATUSES,
     default: 'draft'
   },
+  // Scheduled status changes, applied by utils/courseScheduler.js
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  archiveAt: {
+    type: Date,
+    default: null
+  },
+  // First time the course went live; the new-course announcement is sent at that moment
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  // Catalog taxonomy. Categories are managed by admins (/api/categories); tags are free-form.
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  tags: {
+    type: [{
+      type: String,
+      lowercase: true,
+      trim: true,
+      maxlength: [30, 'Tags cannot exceed 30 characters']
+    }],
+    default: [],
+    validate: {
+      validator: (tags) => tags.length <= MAX_COURSE_TAGS,
+      message: `A course can have at most ${MAX_COURSE_TAGS} tags`
+    }
+  },
+  // BCP 47 language tag of the course content, e.g. `en`, `ta`
+  language: {
+    type: String,
+    trim: true,
+    default: 'en',
+    match: [/^[a-z]{2,3}(-[A-Z]{2})?$/, 'Please enter a valid language code (e.g. en, ta, en-IN)']
+  },
+  difficulty: {
+    type: String,
+    enum: COURSE_DIFFICULTIES,
+    default: 'all_levels'
+  },
+  // Courses to complete first (Progress.courseCompleted). See utils/coursePrerequisites.js.
+  prerequisites: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    }],
+    default: [],
+    validate: {
+      validator: (ids) => ids.length <= MAX_PREREQUISITES,
+      message: `A course can have at most ${MAX_PREREQUISITES} prerequisites`
+    }
+  },
+  // `required` refuses payments until the prerequisites are completed; `recommended` only warns
+  prerequisitePolicy: {
+    type: String,
+    enum: PREREQUISITE_POLICIES,
+    default: 'required'
+  },
+  // Instructor who owns the course. Owners and collaborators can manage its content.
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  collaborators: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Level stats, kept in sync by the Level model hooks (see syncLevelStats).
+  // Repair with `npm run repair-level-stats`.
   totalLevels: {
     type: Number,
     default: 0
   },
+  // Levels with status `active`, i.e. the ones students see
+  publishedLevels: {
+    type: Number,
+    default: 0
+  },
+  // Sum of videoDuration (seconds) over published levels
+  totalDuration: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -71,25 +162,40 @@ const courseSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Index for search
-courseSchema.index({ title: 'text', description: 'text' });
+// Full-text search (GET /api/search). `language` is the course content language, not a
+// text-search language, so the override points at a field that is never set.
+// Existing databases need `npm run sync-indexes` once to replace the old index.
+courseSchema.index(
+  { title: 'text', description: 'text', tags: 'text' },
+  {
+    name: 'course_search',
+    weights: { title: 10, tags: 5, description: 2 },
+    language_override: 'textSearchLanguage'
+  }
+);
+courseSchema.index({ ownerId: 1 });
+courseSchema.index({ collaborators: 1 });
+courseSchema.index({ status: 1, category: 1 });
+// Catalog sorts (GET /courses?sort=newest|price_asc|price_desc)
+courseSchema.index({ status: 1, createdAt: -1 });
+courseSchema.index({ status: 1, price: 1 });
+courseSchema.index({ tags: 1 });
+courseSchema.index({ prerequisites: 1 });
+// Course scheduler lookups
+courseSchema.index({ status: 1, publishAt: 1 });
+courseSchema.index({ status: 1, archiveAt: 1 });
 
 const isPlaceholderEmail = (email = '') => /@example\.com$/i.test(email.trim());
 
-courseSchema.pre('save', function(next) {
-  this.$locals.wasNew = this.isNew;
-  next();
-});
-
-courseSchema.post('save', function(doc) {
-  if (!doc?.$locals?.wasNew) return;
-
+const announceCourse = (doc) => {
   // Run notifications in the background so API requests don't hang on SMTP/network I/O.
   setImmediate(() => {
     void (async () => {
       try {
         const User = mongoose.model('User');
-        const users = await User.find({ status: 'active', role: 'student' }).select('name email').lean();
+        const users = await User.find({ status: 'active', role: 'student', emailVerified: true })
+          .select('name email')
+          .lean();
         const deliverableUsers = users.filter((user) => user.email && !isPlaceholderEmail(user.email));
 
         if (!deliverableUsers.length) {
@@ -118,10 +224,95 @@ courseSchema.post('save', function(doc) {
           `[mail] Course "${doc.title}" notification summary: attempted=${results.length}, sent=${sent}, failed=${failed}`
         );
       } catch (error) {
-        console.error('Course post-save notification error:', error.message);
+        console.error('Course publish notification error:', error.message);
       }
     })();
   });
+};
+
+/**
+ * Stamp publishedAt on courses that just went live and announce them. The stamp is claimed
+ * atomically, so a course is announced once even if two writers publish it at the same time.
+ */
+const markCoursesPublished = async (Course, courseIds) => {
+  for (const courseId of courseIds) {
+    try {
+      const course = await Course.findOneAndUpdate(
+        { _id: courseId, status: 'published', publishedAt: null },
+        { $set: { publishedAt: new Date() } },
+        { new: true }
+      );
+      if (course) announceCourse(course);
+    } catch (error) {
+      console.error('Course publish error:', error.message);
+    }
+  }
+};
+
+const setsStatusTo = (update = {}, status) => (update.status ?? update.$set?.status) === status;
+
+courseSchema.pre('save', function(next) {
+  this.$locals.justPublished = this.status === 'published' && (this.isNew || this.isModified('status'));
+  next();
+});
+
+courseSchema.post('save', async function(doc) {
+  if (doc.$locals.justPublished) {
+    await markCoursesPublished(doc.constructor, [doc._id]);
+  }
+});
+
+// Query updates (course edits, revision promotion, the scheduler): note which courses are
+// about to go live before the write.
+const COURSE_UPDATE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+
+courseSchema.pre(COURSE_UPDATE_QUERIES, { document: false, query: true }, async function() {
+  if (!setsStatusTo(this.getUpdate() || {}, 'published')) return;
+  this._publishingCourseIds = await this.model.distinct('_id', {
+    $and: [this.getFilter(), { status: { $ne: 'published' } }]
+  });
 });
 
+courseSchema.post(COURSE_UPDATE_QUERIES, { document: false, query: true }, async function() {
+  if (this._publishingCourseIds?.length) {
+    await markCoursesPublished(this.model, this._publishingCourseIds);
+  }
+});
+
+/**
+ * Recompute totalLevels, publishedLevels and totalDuration from the course's levels.
+ */
+courseSchema.statics.syncLevelStats = async function(courseId) {
+  if (!courseId) return null;
+
+  const Level = mongoose.model('Level');
+  const [stats] = await Level.aggregate([
+    { $match: { courseId: new mongoose.Types.ObjectId(courseId.toString()) } },
+    {
+      $group: {
+        _id: null,
+        totalLevels: { $sum: 1 },
+        publishedLevels: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } },
+        totalDuration: {
+          $sum: { $cond: [{ $eq: ['$status', 'active'] }, { $ifNull: ['$videoDuration', 0] }, 0] }
+        }
+      }
+    }
+  ]);
+
+  const levelStats = {
+    totalLevels: stats?.totalLevels || 0,
+    publishedLevels: stats?.publishedLevels || 0,
+    totalDuration: stats?.totalDuration || 0
+  };
+  await this.updateOne({ _id: courseId }, { $set: levelStats });
+  return levelStats;
+};
+
+courseSchema.statics.STATUSES = COURSE_STATUSES;
+courseSchema.statics.DIFFICULTIES = COURSE_DIFFICULTIES;
+courseSchema.statics.MAX_TAGS = MAX_COURSE_TAGS;
+courseSchema.statics.PREREQUISITE_POLICIES = PREREQUISITE_POLICIES;
+courseSchema.statics.MAX_PREREQUISITES = MAX_PREREQUISITES;
+
 module.exports = mongoose.model('Course', courseSchema);
@@ -0,0 +1,94 @@
+/**
+ * CourseRevision Model
+ * Pending edits to a published course, prepared as a draft and promoted onto the live course
+ */
+
+const mongoose = require('mongoose');
+
+const REVISION_STATUSES = ['draft', 'promoted', 'discarded'];
+// Course fields a revision can change. Payment setup, ownership and media keep their own routes.
+const REVISION_FIELDS = [
+  'title',
+  'description',
+  'price',
+  'quizEnabled',
+  'youtubeEmbedUrl',
+  'category',
+  'tags',
+  'language',
+  'difficulty'
+];
+
+const courseRevisionSchema = new mongoose.Schema({
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course ID is required'],
+    index: true
+  },
+  status: {
+    type: String,
+    enum: REVISION_STATUSES,
+    default: 'draft'
+  },
+  // What the revision is for, shown in the revision list
+  note: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  // Edited fields only (subset of REVISION_FIELDS), applied together on promotion
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Live values of the edited fields when they were first edited. Promotion refuses to
+  // overwrite a field that has since been changed on the live course.
+  base: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  promotedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  promotedAt: {
+    type: Date,
+    default: null
+  },
+  discardedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  discardedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// At most one open draft per course
+courseRevisionSchema.index(
+  { courseId: 1 },
+  { unique: true, partialFilterExpression: { status: 'draft' }, name: 'one_draft_per_course' }
+);
+
+courseRevisionSchema.statics.STATUSES = REVISION_STATUSES;
+courseRevisionSchema.statics.FIELDS = REVISION_FIELDS;
+
+module.exports = mongoose.model('CourseRevision', courseRevisionSchema);
@@ -0,0 +1,80 @@
+/**
+ * Invitation Model
+ * Single-use email invitations for new admin and instructor accounts
+ */
+
+const mongoose = require('mongoose');
+
+const INVITATION_ROLES = ['admin', 'instructor'];
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^[\w-\.]+@([\w-]+\.)+[\w-]{2,4}$/, 'Please enter a valid email']
+  },
+  role: {
+    type: String,
+    enum: INVITATION_ROLES,
+    required: true
+  },
+  // sha256 of the token sent by email; the raw token is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+invitationSchema.index({ email: 1, createdAt: -1 });
+
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+invitationSchema.statics.ROLES = INVITATION_ROLES;
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -67,4 +67,62 @@ const levelSchema = new mongoose.Schema({
 // Compound index to ensure unique level numbers per course
 levelSchema.index({ courseId: 1, levelNumber: 1 }, { unique: true });
 
+// Full-text search (GET /api/search)
+levelSchema.index(
+  { title: 'text', description: 'text' },
+  { name: 'level_search', weights: { title: 5, description: 1 } }
+);
+
+// Keep the course's denormalized level stats (totalLevels, publishedLevels, totalDuration)
+// in sync. A failed sync is logged rather than failing the level change;
+// `npm run repair-level-stats` fixes any drift.
+const LEVEL_STATS_FIELDS = ['courseId', 'status', 'videoDuration'];
+const LEVEL_WRITE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+const syncCourseLevelStats = async (courseIds) => {
+  const uniqueIds = Array.from(new Set(courseIds.filter(Boolean).map((id) => id.toString())));
+  try {
+    const Course = mongoose.model('Course');
+    await Promise.all(uniqueIds.map((courseId) => Course.syncLevelStats(courseId)));
+  } catch (error) {
+    console.error('Course level stats sync error:', error.message);
+  }
+};
+
+const updateTouchesLevelStats = (update = {}) =>
+  LEVEL_STATS_FIELDS.some((field) => update[field] !== undefined || update.$set?.[field] !== undefined);
+
+levelSchema.pre('save', function(next) {
+  this.$locals.affectsLevelStats = this.isNew || LEVEL_STATS_FIELDS.some((field) => this.isModified(field));
+  next();
+});
+
+levelSchema.post('save', async function(doc) {
+  if (doc.$locals.affectsLevelStats) {
+    await syncCourseLevelStats([doc.courseId]);
+  }
+});
+
+levelSchema.post('insertMany', async function(docs) {
+  await syncCourseLevelStats((docs || []).map((doc) => doc.courseId));
+});
+
+levelSchema.post('deleteOne', { document: true, query: false }, async function(doc) {
+  await syncCourseLevelStats([doc.courseId]);
+});
+
+// Query writes: note the affected courses before the write and sync them afterwards
+// (plus the target course when a level is moved).
+levelSchema.pre(LEVEL_WRITE_QUERIES, { document: false, query: true }, async function() {
+  const isDelete = this.op.toLowerCase().includes('delete');
+  if (!isDelete && !updateTouchesLevelStats(this.getUpdate() || {})) return;
+  this._levelStatsCourseIds = await this.model.distinct('courseId', this.getFilter());
+});
+
+levelSchema.post(LEVEL_WRITE_QUERIES, { document: false, query: true }, async function() {
+  if (!this._levelStatsCourseIds) return;
+  const update = this.getUpdate() || {};
+  await syncCourseLevelStats([...this._levelStatsCourseIds, update.courseId || update.$set?.courseId]);
+});
+
 module.exports = mongoose.model('Level', levelSchema);
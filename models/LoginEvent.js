@@ -0,0 +1,67 @@
+/**
+ * LoginEvent Model
+ * One entry per sign-in attempt (successful or not) for login history and new-device alerts
+ */
+
+const mongoose = require('mongoose');
+
+const LOGIN_METHODS = ['password', 'two_factor', 'magic_link', 'oidc', 'register', 'invitation'];
+
+// Entries older than this are dropped automatically.
+const parsedRetentionDays = Number(process.env.LOGIN_HISTORY_RETENTION_DAYS);
+const LOGIN_HISTORY_RETENTION_DAYS = Number.isFinite(parsedRetentionDays) && parsedRetentionDays > 0
+  ? parsedRetentionDays
+  : 180;
+
+const loginEventSchema = new mongoose.Schema({
+  // Null when the email did not match any account
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: ''
+  },
+  method: {
+    type: String,
+    enum: LOGIN_METHODS,
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  // e.g. invalid_credentials, invalid_second_factor, account_inactive, locked, device_limit
+  failureReason: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent cannot exceed 500 characters'],
+    default: ''
+  },
+  // First successful login from this user agent
+  newDevice: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginEventSchema.index({ userId: 1, createdAt: -1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_HISTORY_RETENTION_DAYS * 24 * 60 * 60 });
+
+loginEventSchema.statics.METHODS = LOGIN_METHODS;
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
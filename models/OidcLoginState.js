@@ -0,0 +1,39 @@
+/**
+ * OidcLoginState Model
+ * Pending OpenID Connect logins: state, nonce and PKCE verifier between redirect and callback
+ */
+
+const mongoose = require('mongoose');
+
+const oidcLoginStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // Hash of the secret kept by the browser that started the login; the callback must
+  // present it so a code/state pair cannot be replayed in someone else's browser
+  clientVerifierHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Abandoned logins are dropped automatically.
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcLoginState', oidcLoginStateSchema);
@@ -66,16 +66,64 @@ const notifyPaymentSubmitted = async ({ User, user, course, doc }) => {
   await notifyAdminsPaymentSubmitted({ User, user, course, doc });
 };
 
+// What a student's own course payment looked like before a bundle approval took it over
+const replacedPaymentStateSchema = new mongoose.Schema({
+  status: String,
+  transactionId: String,
+  amount: Number,
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  verifiedAt: Date,
+  rejectionReason: String,
+  notes: String
+}, { _id: false });
+
 const paymentSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'User ID is required']
   },
+  // Set for single-course payments and for the course records a bundle payment unlocks
   courseId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Course',
-    required: [true, 'Course ID is required']
+    default: null,
+    required: [
+      function() {
+        return !this.bundleId;
+      },
+      'Course ID is required'
+    ]
+  },
+  // Bundle payments: one proof for several courses (courseId stays null)
+  bundleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bundle',
+    default: null
+  },
+  // Courses in the bundle when the payment was submitted; these are unlocked on approval
+  bundleCourseIds: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    }],
+    default: undefined
+  },
+  // On a course record created by approving a bundle payment: that bundle payment.
+  // Such records carry no amount of their own and are left out of revenue stats.
+  bundlePaymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  // Set when the bundle took over an existing pending/rejected course payment; it is
+  // restored (with its proof) if the bundle payment is withdrawn
+  bundleReplacedState: {
+    type: replacedPaymentStateSchema,
+    default: null
   },
   transactionId: {
     type: String,
@@ -84,7 +132,12 @@ const paymentSchema = new mongoose.Schema({
   },
   proofImage: {
     type: String, // Path to payment proof image
-    required: [true, 'Payment proof is required']
+    required: [
+      function() {
+        return !this.anonymizedAt && !this.bundlePaymentId;
+      },
+      'Payment proof is required'
+    ]
   },
   amount: {
     type: Number,
@@ -115,6 +168,11 @@ const paymentSchema = new mongoose.Schema({
     maxlength: [500, 'Notes cannot exceed 500 characters'],
     default: ''
   },
+  // Set when the student's account was deleted; the record is kept for accounting only
+  anonymizedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -127,8 +185,23 @@ const paymentSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Compound index to prevent duplicate payments for same user and course
-paymentSchema.index({ userId: 1, courseId: 1 }, { unique: true });
+// One payment per user and course, and per user and bundle. Existing databases need
+// `npm run sync-indexes` once to replace the old (non-partial) user/course index.
+paymentSchema.index(
+  { userId: 1, courseId: 1 },
+  { unique: true, partialFilterExpression: { courseId: { $type: 'objectId' } } }
+);
+paymentSchema.index(
+  { userId: 1, bundleId: 1 },
+  { unique: true, partialFilterExpression: { bundleId: { $type: 'objectId' } } }
+);
+paymentSchema.index({ bundlePaymentId: 1 });
+
+// Title used in payment emails: the course, or the bundle for bundle payments
+const loadPaymentItem = (doc) => {
+  const Model = mongoose.model(doc.bundleId ? 'Bundle' : 'Course');
+  return Model.findById(doc.bundleId || doc.courseId).select('title').lean();
+};
 
 paymentSchema.pre('save', async function(next) {
   this.$locals.wasNew = this.isNew;
@@ -152,12 +225,14 @@ paymentSchema.post('save', function(doc) {
   setImmediate(() => {
     void (async () => {
       try {
+        // Course records unlocked by a bundle are covered by the bundle payment's emails.
+        if (doc.bundlePaymentId) return;
+
         const User = mongoose.model('User');
-        const Course = mongoose.model('Course');
 
         const [user, course] = await Promise.all([
           User.findById(doc.userId).select('name email').lean(),
-          Course.findById(doc.courseId).select('title').lean()
+          loadPaymentItem(doc)
         ]);
 
         if (!user || !course?.title) return;
@@ -199,7 +274,7 @@ paymentSchema.post('save', function(doc) {
 
 paymentSchema.pre('findOneAndUpdate', async function(next) {
   try {
-    const existing = await this.model.findOne(this.getQuery()).select('status userId courseId amount transactionId rejectionReason');
+    const existing = await this.model.findOne(this.getQuery()).select('status userId courseId bundleId amount transactionId rejectionReason');
     this.setOptions({ _previousPayment: existing });
   } catch (error) {
     this.setOptions({ _previousPayment: null });
@@ -210,17 +285,16 @@ paymentSchema.pre('findOneAndUpdate', async function(next) {
 paymentSchema.post('findOneAndUpdate', function(doc) {
   const previous = this.getOptions()._previousPayment;
   const statusChanged = doc && previous && previous.status !== doc.status;
-  if (!statusChanged) return;
+  if (!statusChanged || doc.bundlePaymentId) return;
 
   // Run notifications in the background so API requests don't hang on SMTP/network I/O.
   setImmediate(() => {
     void (async () => {
       try {
         const User = mongoose.model('User');
-        const Course = mongoose.model('Course');
         const [user, course] = await Promise.all([
           User.findById(doc.userId).select('name email').lean(),
-          Course.findById(doc.courseId).select('title').lean()
+          loadPaymentItem(doc)
         ]);
 
         if (!user?.email || !course?.title) return;
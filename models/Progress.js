@@ -91,6 +91,8 @@ const progressSchema = new mongoose.Schema({
 
 // Compound index for unique progress per user and course
 progressSchema.index({ userId: 1, courseId: 1 }, { unique: true });
+// Enrollment counts for the catalog's `popular` sort
+progressSchema.index({ courseId: 1 });
 
 // Method to calculate total progress
 progressSchema.methods.calculateProgress = function(totalLevels) {
@@ -81,4 +81,7 @@ const quizSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Full-text search (GET /api/search)
+quizSchema.index({ title: 'text' }, { name: 'quiz_search' });
+
 module.exports = mongoose.model('Quiz', quizSchema);
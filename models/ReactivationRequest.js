@@ -0,0 +1,58 @@
+/**
+ * ReactivationRequest Model
+ * A suspended student's request to have their account reactivated, reviewed by an admin
+ */
+
+const mongoose = require('mongoose');
+
+const REQUEST_STATUSES = ['pending', 'approved', 'denied', 'cancelled'];
+
+const reactivationRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  // Null for accounts suspended before suspension records existed
+  suspensionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Suspension',
+    default: null
+  },
+  message: {
+    type: String,
+    required: [true, 'Please explain why the account should be reactivated'],
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: REQUEST_STATUSES,
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  // Shown to the student with the decision
+  reviewNote: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+reactivationRequestSchema.index({ status: 1, createdAt: -1 });
+
+reactivationRequestSchema.statics.STATUSES = REQUEST_STATUSES;
+
+module.exports = mongoose.model('ReactivationRequest', reactivationRequestSchema);
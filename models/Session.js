@@ -0,0 +1,66 @@
+/**
+ * Session Model
+ * Stores login sessions with rotating refresh tokens (one per device)
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+    unique: true,
+    select: false
+  },
+  // Hash of the refresh token that was rotated out last. Presenting it again means
+  // the token was copied, so the whole session is revoked.
+  previousRefreshTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent cannot exceed 500 characters'],
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Session expiry is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ previousRefreshTokenHash: 1 }, { sparse: true });
+
+// Let MongoDB drop expired sessions on its own.
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
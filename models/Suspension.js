@@ -0,0 +1,67 @@
+/**
+ * Suspension Model
+ * Record of a student suspension: why, until when, and what the student is told
+ */
+
+const mongoose = require('mongoose');
+
+const LIFT_REASONS = ['admin', 'expired', 'reactivation_approved', 'replaced'];
+
+const suspensionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  // Internal reason, visible to admins only
+  reason: {
+    type: String,
+    required: [true, 'Suspension reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Shown to the student when they try to sign in
+  message: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Null means the suspension lasts until an admin lifts it
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  liftedAt: {
+    type: Date,
+    default: null
+  },
+  liftedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  liftReason: {
+    type: String,
+    enum: [...LIFT_REASONS, null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+suspensionSchema.index({ liftedAt: 1, expiresAt: 1 });
+
+suspensionSchema.methods.isActive = function() {
+  return !this.liftedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+suspensionSchema.statics.LIFT_REASONS = LIFT_REASONS;
+
+module.exports = mongoose.model('Suspension', suspensionSchema);
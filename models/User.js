@@ -27,6 +27,102 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
+  avatar: {
+    type: String, // Path or URL from persistUploadedFile
+    default: null
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: '',
+    match: [/^$|^\+?[0-9][0-9\s-]{6,19}$/, 'Please enter a valid phone number']
+  },
+  city: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [100, 'City cannot exceed 100 characters']
+  },
+  // BCP 47 language tag, e.g. `en`, `ta`, `en-IN`
+  preferredLanguage: {
+    type: String,
+    trim: true,
+    default: 'en',
+    match: [/^[a-z]{2,3}(-[A-Z]{2})?$/, 'Please enter a valid language code (e.g. en, ta, en-IN)']
+  },
+  // IANA time zone, e.g. `Asia/Kolkata`
+  timezone: {
+    type: String,
+    trim: true,
+    default: 'Asia/Kolkata',
+    validate: {
+      validator: (value) => {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: value });
+          return true;
+        } catch {
+          return false;
+        }
+      },
+      message: 'Please enter a valid time zone (e.g. Asia/Kolkata)'
+    }
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationOtpHash: {
+    type: String,
+    select: false
+  },
+  emailVerificationOtpExpiresAt: {
+    type: Date,
+    select: false
+  },
+  emailVerificationOtpAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // Requested new address; becomes `email` only after the code sent to it is confirmed
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null,
+    match: [/^[\w-\.]+@([\w-]+\.)+[\w-]{2,4}$/, 'Please enter a valid email']
+  },
+  pendingEmailOtpHash: {
+    type: String,
+    select: false
+  },
+  pendingEmailOtpExpiresAt: {
+    type: Date,
+    select: false
+  },
+  pendingEmailOtpAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // Lets the current address cancel the change from the notice email
+  pendingEmailCancelTokenHash: {
+    type: String,
+    select: false
+  },
+  // After confirmation the same link restores the previous address for a grace period
+  emailChangeRevertTokenHash: {
+    type: String,
+    select: false
+  },
+  emailChangeRevertEmail: {
+    type: String,
+    select: false
+  },
+  emailChangeRevertExpiresAt: {
+    type: Date,
+    select: false
+  },
   passwordResetOtpHash: {
     type: String,
     select: false
@@ -40,9 +136,57 @@ const userSchema = new mongoose.Schema({
     default: 0,
     select: false
   },
+  // Passwordless login link; only the sha256 of the emailed token is stored
+  magicLinkTokenHash: {
+    type: String,
+    select: false
+  },
+  magicLinkExpiresAt: {
+    type: Date,
+    select: false
+  },
+  // False while the only password is the random one generated for single sign-on; the
+  // user has never seen it and must set their own before password re-authentication
+  passwordSet: {
+    type: Boolean,
+    default: true
+  },
+  // External OpenID Connect identity linked to this account (issuer + subject)
+  oidcIssuer: {
+    type: String,
+    default: null
+  },
+  oidcSubject: {
+    type: String,
+    default: null
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret generated by /auth/2fa/setup, promoted to twoFactorSecret once a code is confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Last accepted TOTP time step; codes at or before it are rejected as replays
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null,
+    select: false
+  },
+  twoFactorRecoveryCodeHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
   role: {
     type: String,
-    enum: ['student', 'admin'],
+    enum: ['student', 'instructor', 'admin'],
     default: 'student'
   },
   status: {
@@ -62,10 +206,16 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+userSchema.index(
+  { oidcIssuer: 1, oidcSubject: 1 },
+  { unique: true, partialFilterExpression: { oidcSubject: { $type: 'string' } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
-  
+  this.passwordSet = !this.$locals.generatedPassword;
+
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
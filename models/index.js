@@ -9,6 +9,18 @@ const Level = require('./Level');
 const Quiz = require('./Quiz');
 const Payment = require('./Payment');
 const Progress = require('./Progress');
+const Session = require('./Session');
+const AuthThrottle = require('./AuthThrottle');
+const AuditLog = require('./AuditLog');
+const Invitation = require('./Invitation');
+const OidcLoginState = require('./OidcLoginState');
+const ApiKey = require('./ApiKey');
+const LoginEvent = require('./LoginEvent');
+const Suspension = require('./Suspension');
+const ReactivationRequest = require('./ReactivationRequest');
+const Category = require('./Category');
+const CourseRevision = require('./CourseRevision');
+const Bundle = require('./Bundle');
 
 module.exports = {
   User,
@@ -16,5 +28,17 @@ module.exports = {
   Level,
   Quiz,
   Payment,
-  Progress
+  Progress,
+  Session,
+  AuthThrottle,
+  AuditLog,
+  Invitation,
+  OidcLoginState,
+  ApiKey,
+  LoginEvent,
+  Suspension,
+  ReactivationRequest,
+  Category,
+  CourseRevision,
+  Bundle
 };
@@ -1,14 +1,58 @@
 const express = require('express');
 const router = express.Router();
-const { User, Course, Payment, Level, Quiz, Progress } = require('../models');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { User, Course, Payment, Level, Quiz, Progress, AuthThrottle, AuditLog, Invitation, ApiKey, Suspension, ReactivationRequest } = require('../models');
+const { authenticate, allowApiKey, requireAdmin, generateImpersonationToken } = require('../middleware/auth');
+const {
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions,
+  STUDENT_MAX_DEVICES
+} = require('../utils/sessions');
+const { verifyFreshTwoFactorCode } = require('../utils/twoFactor');
+const { getClientIp } = require('../utils/authThrottle');
+const { recordAudit, toAuditSnapshot } = require('../utils/auditLog');
+const { deleteUserAccount } = require('../utils/accountDeletion');
+const { resolveExpiryHours, createInvitation } = require('../utils/invitations');
+const { createApiKey } = require('../utils/apiKeys');
+const { getLoginHistory } = require('../utils/loginHistory');
+const { escapeRegex } = require('../utils/search');
+const {
+  getCurrentSuspension,
+  liftSuspension,
+  liftExpiredSuspensions,
+  suspendUser
+} = require('../utils/suspensions');
 
-const USER_ROLES = ['student', 'admin'];
+const USER_ROLES = ['student', 'instructor', 'admin'];
+
+const MAX_SUSPENSION_DAYS = 3650;
+
+// End date for a suspension from `expiresAt` or `durationDays`. Null means indefinite,
+// false means the input was invalid.
+const parseSuspensionEnd = ({ expiresAt, durationDays }) => {
+  const hasExpiresAt = expiresAt !== undefined && expiresAt !== null && expiresAt !== '';
+  const hasDuration = durationDays !== undefined && durationDays !== null && durationDays !== '';
+  if (hasExpiresAt && hasDuration) return false;
+
+  if (hasExpiresAt) {
+    const date = new Date(expiresAt);
+    return Number.isNaN(date.getTime()) || date <= new Date() ? false : date;
+  }
+
+  if (hasDuration) {
+    const days = Number(durationDays);
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_SUSPENSION_DAYS) return false;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  return null;
+};
 
 // @route   GET /admin/dashboard
 // @desc    Get admin dashboard stats
-// @access  Private/Admin
-router.get('/dashboard', authenticate, requireAdmin, async (req, res) => {
+// @access  Private/Admin (API key scope: reports:read)
+router.get('/dashboard', allowApiKey('reports:read'), authenticate, requireAdmin, async (req, res) => {
   try {
     // 1. Statistics
     const totalStudents = await User.countDocuments({ role: 'student' });
@@ -16,7 +60,9 @@ router.get('/dashboard', authenticate, requireAdmin, async (req, res) => {
     const totalLevels = await Level.countDocuments(); 
     const totalQuizzes = await Quiz.countDocuments();
 
+    // Course records unlocked by a bundle payment are not payments of their own.
     const paymentsStats = await Payment.aggregate([
+      { $match: { bundlePaymentId: null } },
       {
         $group: {
           _id: '$status',
@@ -55,11 +101,12 @@ router.get('/dashboard', authenticate, requireAdmin, async (req, res) => {
     };
 
     // 2. Recent Payments
-    const recentPayments = await Payment.find()
+    const recentPayments = await Payment.find({ bundlePaymentId: null })
       .sort({ createdAt: -1 })
       .limit(5)
       .populate('userId', 'name email')
-      .populate('courseId', 'title');
+      .populate('courseId', 'title')
+      .populate('bundleId', 'title');
 
     // 3. Recent Students
     const recentStudents = await User.find({ role: 'student' })
@@ -80,8 +127,8 @@ router.get('/dashboard', authenticate, requireAdmin, async (req, res) => {
 
 // @route   GET /admin/students
 // @desc    Paginated students list with search
-// @access  Private/Admin
-router.get('/students', authenticate, requireAdmin, async (req, res) => {
+// @access  Private/Admin (API key scope: students:read)
+router.get('/students', allowApiKey('students:read'), authenticate, requireAdmin, async (req, res) => {
   try {
     const page = Math.max(1, parseInt(req.query.page, 10) || 1);
     const limit = Math.max(1, Math.min(50, parseInt(req.query.limit, 10) || 10));
@@ -89,16 +136,30 @@ router.get('/students', authenticate, requireAdmin, async (req, res) => {
 
     const filter = { role: 'student' };
     if (search) {
-      const regex = new RegExp(search, 'i');
-      filter.$or = [{ name: regex }, { email: regex }];
+      const regex = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ name: regex }, { email: regex }, { phone: regex }, { city: regex }];
     }
 
+    // Exact-match filters for the profile fields, e.g. ?city=Chennai&preferredLanguage=ta
+    if (req.query.city) {
+      filter.city = new RegExp(`^${escapeRegex(req.query.city)}$`, 'i');
+    }
+    if (req.query.preferredLanguage) {
+      filter.preferredLanguage = req.query.preferredLanguage.toString();
+    }
+    if (req.query.timezone) {
+      filter.timezone = req.query.timezone.toString();
+    }
+
+    // Timed suspensions end lazily; make sure the listed statuses are current.
+    await liftExpiredSuspensions();
+
     const [students, total] = await Promise.all([
       User.find(filter)
         .sort({ createdAt: -1 })
         .skip((page - 1) * limit)
         .limit(limit)
-        .select('name email status createdAt'),
+        .select('name email status avatar phone city preferredLanguage timezone createdAt'),
       User.countDocuments(filter)
     ]);
 
@@ -117,8 +178,8 @@ router.get('/students', authenticate, requireAdmin, async (req, res) => {
 
 // @route   GET /admin/users
 // @desc    Paginated users list with optional role/search filter
-// @access  Private/Admin
-router.get('/users', authenticate, requireAdmin, async (req, res) => {
+// @access  Private/Admin (API key scope: students:read, students only)
+router.get('/users', allowApiKey('students:read'), authenticate, requireAdmin, async (req, res) => {
   try {
     const page = Math.max(1, parseInt(req.query.page, 10) || 1);
     const limit = Math.max(1, Math.min(50, parseInt(req.query.limit, 10) || 10));
@@ -127,7 +188,10 @@ router.get('/users', authenticate, requireAdmin, async (req, res) => {
 
     const filter = {};
 
-    if (role && USER_ROLES.includes(role)) {
+    // students:read does not cover staff accounts.
+    if (req.apiKey) {
+      filter.role = 'student';
+    } else if (role && USER_ROLES.includes(role)) {
       filter.role = role;
     }
 
@@ -158,10 +222,38 @@ router.get('/users', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
+// @route   GET /admin/students/:id
+// @desc    Student detail with recent login history and current suspension
+// @access  Private/Admin (API key scope: students:read)
+router.get('/students/:id', allowApiKey('students:read'), authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    await liftExpiredSuspensions({ userId: req.params.id });
+    const student = await User.findById(req.params.id).select('-password');
+    if (!student || student.role !== 'student') {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.loginHistoryLimit, 10) || 20));
+    const [loginHistory, suspension] = await Promise.all([
+      getLoginHistory(student._id, { limit }),
+      getCurrentSuspension(student._id)
+    ]);
+
+    res.json({ student, loginHistory, suspension });
+  } catch (error) {
+    console.error('Get student error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /admin/students/:id/progress
 // @desc    Get progress for a specific student
-// @access  Private/Admin
-router.get('/students/:id/progress', authenticate, requireAdmin, async (req, res) => {
+// @access  Private/Admin (API key scope: progress:read)
+router.get('/students/:id/progress', allowApiKey('progress:read'), authenticate, requireAdmin, async (req, res) => {
   try {
     const student = await User.findById(req.params.id);
     if (!student || student.role !== 'student') {
@@ -181,7 +273,8 @@ router.get('/students/:id/progress', authenticate, requireAdmin, async (req, res
 });
 
 // @route   PUT /admin/students/:id/status
-// @desc    Update student status (active/inactive/suspended)
+// @desc    Update student status (active/inactive/suspended). Suspending takes
+//          { reason, message?, expiresAt? | durationDays? }
 // @access  Private/Admin
 router.put('/students/:id/status', authenticate, requireAdmin, async (req, res) => {
   try {
@@ -191,6 +284,39 @@ router.put('/students/:id/status', authenticate, requireAdmin, async (req, res)
       return res.status(400).json({ message: 'Invalid status value' });
     }
 
+    const previous = await User.findOne({ _id: req.params.id, role: 'student' }).select('status');
+    if (!previous) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    let suspensionInput = null;
+    if (status === 'suspended') {
+      const reason = (req.body.reason || '').toString().trim();
+      if (!reason) {
+        return res.status(400).json({ message: 'A reason is required to suspend a student' });
+      }
+
+      const expiresAt = parseSuspensionEnd(req.body);
+      if (expiresAt === false) {
+        return res.status(400).json({
+          message: 'Provide either expiresAt (a future date) or durationDays (1-3650), or neither for an indefinite suspension'
+        });
+      }
+
+      suspensionInput = { reason, message: (req.body.message || '').toString().trim(), expiresAt };
+    }
+
+    // Write the suspension record first so an invalid reason/message leaves the status untouched.
+    let suspension = null;
+    if (suspensionInput) {
+      suspension = await suspendUser(previous, { ...suspensionInput, suspendedBy: req.user._id });
+    } else {
+      const current = await getCurrentSuspension(previous._id);
+      if (current) {
+        await liftSuspension(current, { reason: 'admin', liftedBy: req.user._id });
+      }
+    }
+
     const student = await User.findOneAndUpdate(
       { _id: req.params.id, role: 'student' },
       { status },
@@ -201,15 +327,153 @@ router.put('/students/:id/status', authenticate, requireAdmin, async (req, res)
       return res.status(404).json({ message: 'Student not found' });
     }
 
-    res.json({ student });
+    await recordAudit(req, {
+      action: 'user.status_change',
+      targetType: 'user',
+      targetId: student._id,
+      before: { status: previous.status },
+      after: suspension
+        ? { status: student.status, ...toAuditSnapshot(suspension, ['reason', 'message', 'expiresAt']) }
+        : { status: student.status }
+    });
+
+    if (status !== 'active') {
+      await revokeUserSessions(student._id, { reason: `account_${status}` });
+    }
+
+    res.json({ student, suspension });
   } catch (error) {
     console.error('Update student status error:', error);
+    if (error?.name === 'ValidationError') {
+      const firstMessage = Object.values(error.errors || {})[0]?.message || 'Invalid suspension data';
+      return res.status(400).json({ message: firstMessage });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /admin/students/:id/suspensions
+// @desc    Suspension history and reactivation requests for a student
+// @access  Private/Admin
+router.get('/students/:id/suspensions', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    await liftExpiredSuspensions({ userId: req.params.id });
+
+    const [suspensions, reactivationRequests] = await Promise.all([
+      Suspension.find({ userId: req.params.id })
+        .sort({ createdAt: -1 })
+        .populate('suspendedBy', 'name email')
+        .populate('liftedBy', 'name email'),
+      ReactivationRequest.find({ userId: req.params.id })
+        .sort({ createdAt: -1 })
+        .populate('reviewedBy', 'name email')
+    ]);
+
+    res.json({ suspensions, reactivationRequests });
+  } catch (error) {
+    console.error('Get student suspensions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /admin/reactivation-requests
+// @desc    Reactivation requests from suspended students (default: pending), oldest first
+// @access  Private/Admin
+router.get('/reactivation-requests', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.max(1, Math.min(50, parseInt(req.query.limit, 10) || 20));
+    const status = ReactivationRequest.STATUSES.includes(req.query.status) ? req.query.status : 'pending';
+
+    await liftExpiredSuspensions();
+
+    const filter = { status };
+    const [requests, total] = await Promise.all([
+      ReactivationRequest.find(filter)
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('userId', 'name email status')
+        .populate('suspensionId', 'reason message expiresAt createdAt')
+        .populate('reviewedBy', 'name email'),
+      ReactivationRequest.countDocuments(filter)
+    ]);
+
+    res.json({
+      requests,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit
+    });
+  } catch (error) {
+    console.error('Get reactivation requests error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /admin/reactivation-requests/:id
+// @desc    Approve (reactivates the account) or deny a pending reactivation request
+// @access  Private/Admin
+router.put('/reactivation-requests/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { decision } = req.body;
+    if (!['approve', 'deny'].includes(decision)) {
+      return res.status(400).json({ message: 'Decision must be approve or deny' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Reactivation request not found' });
+    }
+
+    const request = await ReactivationRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ message: 'Reactivation request not found' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({ message: `Reactivation request is already ${request.status}` });
+    }
+
+    request.status = decision === 'approve' ? 'approved' : 'denied';
+    request.reviewedBy = req.user._id;
+    request.reviewedAt = new Date();
+    request.reviewNote = (req.body.note || '').toString().trim();
+    await request.save();
+
+    if (decision === 'approve') {
+      const suspension = await getCurrentSuspension(request.userId);
+      if (suspension) {
+        await liftSuspension(suspension, { reason: 'reactivation_approved', liftedBy: req.user._id });
+      }
+      await User.updateOne({ _id: request.userId, status: 'suspended' }, { $set: { status: 'active' } });
+    }
+
+    await recordAudit(req, {
+      action: `reactivation_request.${request.status === 'approved' ? 'approve' : 'deny'}`,
+      targetType: 'reactivation_request',
+      targetId: request._id,
+      before: { status: 'pending', userId: request.userId },
+      after: { status: request.status, reviewNote: request.reviewNote }
+    });
+
+    res.json({ message: `Reactivation request ${request.status}`, request });
+  } catch (error) {
+    console.error('Review reactivation request error:', error);
+    if (error?.name === 'ValidationError') {
+      const firstMessage = Object.values(error.errors || {})[0]?.message || 'Invalid review data';
+      return res.status(400).json({ message: firstMessage });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // @route   PUT /admin/users/:id/role
-// @desc    Change user role (student/admin)
+// @desc    Change user role (student/instructor/admin)
 // @access  Private/Admin
 router.put('/users/:id/role', authenticate, requireAdmin, async (req, res) => {
   try {
@@ -222,6 +486,11 @@ router.put('/users/:id/role', authenticate, requireAdmin, async (req, res) => {
       return res.status(400).json({ message: 'You cannot change your own role' });
     }
 
+    const totpCheck = await verifyFreshTwoFactorCode(req.user._id, req.body?.totpCode, { ipAddress: getClientIp(req) });
+    if (!totpCheck.ok) {
+      return res.status(totpCheck.status).json({ message: totpCheck.message, code: totpCheck.code });
+    }
+
     const targetUser = await User.findById(req.params.id);
     if (!targetUser) {
       return res.status(404).json({ message: 'User not found' });
@@ -240,16 +509,25 @@ router.put('/users/:id/role', authenticate, requireAdmin, async (req, res) => {
       });
     }
 
-    if (targetUser.role === 'admin' && role === 'student') {
+    if (targetUser.role === 'admin' && role !== 'admin') {
       const adminCount = await User.countDocuments({ role: 'admin' });
       if (adminCount <= 1) {
         return res.status(400).json({ message: 'At least one admin is required' });
       }
     }
 
+    const previousRole = targetUser.role;
     targetUser.role = role;
     await targetUser.save();
 
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: targetUser._id,
+      before: { role: previousRole },
+      after: { role: targetUser.role }
+    });
+
     res.json({
       user: {
         _id: targetUser._id,
@@ -287,12 +565,14 @@ router.delete('/users/:id', authenticate, requireAdmin, async (req, res) => {
       }
     }
 
-    await Promise.all([
-      Payment.deleteMany({ userId: user._id }),
-      Progress.deleteMany({ userId: user._id }),
-      Payment.updateMany({ verifiedBy: user._id }, { $set: { verifiedBy: null } }),
-      User.deleteOne({ _id: user._id })
-    ]);
+    await deleteUserAccount(user);
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: user._id,
+      before: toAuditSnapshot(user, ['name', 'email', 'role', 'status', 'createdAt'])
+    });
 
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
@@ -301,10 +581,561 @@ router.delete('/users/:id', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
+// @route   GET /admin/lockouts
+// @desc    Login lockouts and OTP request counters (per account and per IP)
+// @access  Private/Admin
+router.get('/lockouts', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.max(1, Math.min(50, parseInt(req.query.limit, 10) || 20));
+    const search = (req.query.search || '').toString().trim().toLowerCase();
+    const scope = req.query.scope || '';
+    const activeOnly = req.query.activeOnly === 'true';
+
+    const filter = {};
+    if (scope && AuthThrottle.SCOPES.includes(scope)) {
+      filter.scope = scope;
+    }
+    if (search) {
+      filter.identifier = search;
+    }
+    if (activeOnly) {
+      filter.lockedUntil = { $gt: new Date() };
+    }
+
+    const [entries, total] = await Promise.all([
+      AuthThrottle.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuthThrottle.countDocuments(filter)
+    ]);
+
+    const now = new Date();
+    res.json({
+      lockouts: entries.map((entry) => ({
+        ...entry.toObject(),
+        locked: Boolean(entry.lockedUntil && entry.lockedUntil > now)
+      })),
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /admin/lockouts/:id
+// @desc    Clear a single lockout/counter entry
+// @access  Private/Admin
+router.delete('/lockouts/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Lockout not found' });
+    }
+
+    const entry = await AuthThrottle.findByIdAndDelete(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ message: 'Lockout not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'lockout.clear',
+      targetType: 'lockout',
+      targetId: entry._id,
+      before: toAuditSnapshot(entry, ['scope', 'identifier', 'failedAttempts', 'lockoutCount', 'lockedUntil', 'requestCount'])
+    });
+
+    res.json({ message: 'Lockout cleared' });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /admin/users/:id/lockouts
+// @desc    Clear login lockouts and OTP counters for a user's email
+// @access  Private/Admin
+router.delete('/users/:id/lockouts', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('email');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const result = await AuthThrottle.deleteMany({
+      scope: { $in: ['login_account', 'otp_account'] },
+      identifier: user.email
+    });
+
+    await recordAudit(req, {
+      action: 'user.lockouts_clear',
+      targetType: 'user',
+      targetId: user._id,
+      after: { cleared: result.deletedCount }
+    });
+
+    res.json({ message: 'Lockouts cleared', cleared: result.deletedCount });
+  } catch (error) {
+    console.error('Clear user lockouts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /admin/users/:id/devices
+// @desc    Active sessions (devices) for a user, with the student device limit
+// @access  Private/Admin
+router.get('/users/:id/devices', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.id).select('name email role');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const devices = await listActiveSessions(user._id);
+    res.json({
+      user,
+      devices,
+      maxDevices: user.role === 'student' ? STUDENT_MAX_DEVICES : 0
+    });
+  } catch (error) {
+    console.error('Get user devices error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /admin/users/:id/devices/:sessionId
+// @desc    Sign a user out of one device
+// @access  Private/Admin
+router.delete('/users/:id/devices/:sessionId', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+
+    const revoked = await revokeSession(req.params.sessionId, req.params.id, 'admin_device_reset');
+    if (!revoked) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'user.device_revoke',
+      targetType: 'user',
+      targetId: req.params.id,
+      after: { sessionId: req.params.sessionId }
+    });
+
+    res.json({ message: 'Device signed out' });
+  } catch (error) {
+    console.error('Revoke user device error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /admin/users/:id/devices
+// @desc    Sign a user out of every device (frees all device slots)
+// @access  Private/Admin
+router.delete('/users/:id/devices', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.id).select('_id');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const revoked = await revokeUserSessions(user._id, { reason: 'admin_device_reset' });
+
+    await recordAudit(req, {
+      action: 'user.devices_reset',
+      targetType: 'user',
+      targetId: user._id,
+      after: { revoked }
+    });
+
+    res.json({ message: 'All devices signed out', revoked });
+  } catch (error) {
+    console.error('Reset user devices error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /admin/users/:id/impersonate
+// @desc    Issue a short-lived, read-only token to view the app as a student (requires a fresh 2FA code)
+// @access  Private/Admin
+router.post('/users/:id/impersonate', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const totpCheck = await verifyFreshTwoFactorCode(req.user._id, req.body?.totpCode, { ipAddress: getClientIp(req) });
+    if (!totpCheck.ok) {
+      return res.status(totpCheck.status).json({ message: totpCheck.message, code: totpCheck.code });
+    }
+
+    const student = await User.findById(req.params.id).select('name email role status');
+    if (!student || student.role !== 'student') {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    if (student.status !== 'active') {
+      return res.status(400).json({ message: 'Only active students can be viewed' });
+    }
+
+    const { token, expiresAt } = generateImpersonationToken(student._id, req.user._id, req.sessionId);
+
+    await recordAudit(req, {
+      action: 'user.impersonate',
+      targetType: 'user',
+      targetId: student._id,
+      after: { expiresAt, reason: (req.body.reason || '').toString().slice(0, 500) }
+    });
+
+    res.json({
+      token,
+      expiresAt,
+      readOnly: true,
+      user: {
+        id: student._id,
+        name: student.name,
+        email: student.email,
+        role: student.role
+      }
+    });
+  } catch (error) {
+    console.error('Impersonate user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /admin/invitations
+// @desc    Invite a new admin or instructor by email (requires a fresh 2FA code)
+// @access  Private/Admin
+router.post('/invitations', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const email = (req.body.email || '').toString().trim().toLowerCase();
+    const { role } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+    if (!Invitation.ROLES.includes(role)) {
+      return res.status(400).json({ message: 'Role must be admin or instructor' });
+    }
+
+    const expiresInHours = resolveExpiryHours(req.body.expiresInHours);
+    if (!expiresInHours) {
+      return res.status(400).json({ message: 'expiresInHours must be between 1 and 720' });
+    }
+
+    const totpCheck = await verifyFreshTwoFactorCode(req.user._id, req.body?.totpCode, { ipAddress: getClientIp(req) });
+    if (!totpCheck.ok) {
+      return res.status(totpCheck.status).json({ message: totpCheck.message, code: totpCheck.code });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(409).json({
+        message: 'A user with this email already exists. Change their role instead.'
+      });
+    }
+
+    const { invitation, emailSent } = await createInvitation({
+      email,
+      role,
+      expiresInHours,
+      inviter: req.user
+    });
+
+    await recordAudit(req, {
+      action: 'invitation.create',
+      targetType: 'invitation',
+      targetId: invitation._id,
+      after: toAuditSnapshot(invitation, ['email', 'role', 'expiresAt'])
+    });
+
+    res.status(201).json({ invitation, emailSent });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    if (error?.name === 'ValidationError') {
+      const firstMessage = Object.values(error.errors || {})[0]?.message || 'Invalid invitation data';
+      return res.status(400).json({ message: firstMessage });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /admin/invitations
+// @desc    List invitations with optional status filter (pending/accepted/revoked/expired)
+// @access  Private/Admin
+router.get('/invitations', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.max(1, Math.min(50, parseInt(req.query.limit, 10) || 20));
+    const { status } = req.query;
+    const now = new Date();
+
+    const filter = {};
+    if (status === 'pending') {
+      Object.assign(filter, { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+    } else if (status === 'accepted') {
+      filter.acceptedAt = { $ne: null };
+    } else if (status === 'revoked') {
+      Object.assign(filter, { acceptedAt: null, revokedAt: { $ne: null } });
+    } else if (status === 'expired') {
+      Object.assign(filter, { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+    }
+
+    const [invitations, total] = await Promise.all([
+      Invitation.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('invitedBy', 'name email')
+        .populate('acceptedBy', 'name email'),
+      Invitation.countDocuments(filter)
+    ]);
+
+    res.json({
+      invitations,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /admin/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private/Admin
+router.delete('/invitations/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ message: `Invitation is already ${invitation.status}` });
+    }
+
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = req.user._id;
+    await invitation.save();
+
+    await recordAudit(req, {
+      action: 'invitation.revoke',
+      targetType: 'invitation',
+      targetId: invitation._id,
+      before: { email: invitation.email, role: invitation.role, status: 'pending' },
+      after: { status: 'revoked' }
+    });
+
+    res.json({ message: 'Invitation revoked', invitation });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /admin/api-keys
+// @desc    Create a scoped API key for an integration (requires a fresh 2FA code).
+//          The plaintext key is returned only in this response.
+// @access  Private/Admin
+router.post('/api-keys', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const name = (req.body?.name || '').toString().trim();
+    const scopes = Array.isArray(req.body?.scopes) ? [...new Set(req.body.scopes)] : [];
+
+    if (!name) {
+      return res.status(400).json({ message: 'Name is required' });
+    }
+    if (!scopes.length || scopes.some((scope) => !ApiKey.SCOPES.includes(scope))) {
+      return res.status(400).json({
+        message: `Scopes must be a non-empty list of: ${ApiKey.SCOPES.join(', ')}`
+      });
+    }
+
+    let expiresAt = null;
+    if (req.body?.expiresInDays !== undefined && req.body?.expiresInDays !== null) {
+      const days = Number(req.body.expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > 365) {
+        return res.status(400).json({ message: 'expiresInDays must be a whole number between 1 and 365' });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const totpCheck = await verifyFreshTwoFactorCode(req.user._id, req.body?.totpCode, { ipAddress: getClientIp(req) });
+    if (!totpCheck.ok) {
+      return res.status(totpCheck.status).json({ message: totpCheck.message, code: totpCheck.code });
+    }
+
+    const { apiKey, key } = await createApiKey({ name, scopes, expiresAt, createdBy: req.user._id });
+
+    await recordAudit(req, {
+      action: 'api_key.create',
+      targetType: 'api_key',
+      targetId: apiKey._id,
+      after: toAuditSnapshot(apiKey, ['name', 'prefix', 'scopes', 'expiresAt'])
+    });
+
+    res.status(201).json({
+      message: 'API key created. Copy it now; it will not be shown again.',
+      key,
+      apiKey
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    if (error?.name === 'ValidationError') {
+      const firstMessage = Object.values(error.errors || {})[0]?.message || 'Invalid API key data';
+      return res.status(400).json({ message: firstMessage });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /admin/api-keys
+// @desc    List API keys (never the secrets) with last-used info
+// @access  Private/Admin
+router.get('/api-keys', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const filter = req.query.includeRevoked === 'true' ? {} : { revokedAt: null };
+    const apiKeys = await ApiKey.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email');
+
+    res.json({
+      apiKeys: apiKeys.map((apiKey) => ({ ...apiKey.toJSON(), active: apiKey.isActive() })),
+      scopes: ApiKey.SCOPES
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /admin/api-keys/:id
+// @desc    Revoke an API key; it stops working immediately
+// @access  Private/Admin
+router.delete('/api-keys/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ message: 'API key is already revoked' });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user._id;
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'api_key.revoke',
+      targetType: 'api_key',
+      targetId: apiKey._id,
+      before: { name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes },
+      after: { revokedAt: apiKey.revokedAt }
+    });
+
+    res.json({ message: 'API key revoked', apiKey });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /admin/audit-logs
+// @desc    Audit trail of admin/course-staff actions, newest first
+// @access  Private/Admin
+router.get('/audit-logs', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit, 10) || 25));
+    const { action, actorId, targetType, targetId, from, to } = req.query;
+
+    const filter = {};
+    if (action) {
+      // `course.` matches every course action; `course.delete` only that one.
+      filter.action = action.toString().endsWith('.')
+        ? { $regex: `^${escapeRegex(action)}` }
+        : action.toString();
+    }
+    if (actorId) {
+      if (!mongoose.Types.ObjectId.isValid(actorId)) {
+        return res.status(400).json({ message: 'Invalid actorId' });
+      }
+      filter.actorId = actorId;
+    }
+    if (targetType) {
+      if (!AuditLog.TARGET_TYPES.includes(targetType)) {
+        return res.status(400).json({ message: 'Invalid targetType' });
+      }
+      filter.targetType = targetType;
+    }
+    if (targetId) {
+      filter.targetId = targetId.toString();
+    }
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+        return res.status(400).json({ message: 'Invalid date range' });
+      }
+      filter.createdAt = {};
+      if (fromDate) filter.createdAt.$gte = fromDate;
+      if (toDate) filter.createdAt.$lte = toDate;
+    }
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actorId', 'name email role'),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      logs,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /admin/revenue
 // @desc    Revenue analytics with optional period filter
-// @access  Private/Admin
-router.get('/revenue', authenticate, requireAdmin, async (req, res) => {
+// @access  Private/Admin (API key scope: reports:read)
+router.get('/revenue', allowApiKey('reports:read'), authenticate, requireAdmin, async (req, res) => {
   try {
     const { period = '30d' } = req.query;
     let startDate;
@@ -314,7 +1145,8 @@ router.get('/revenue', authenticate, requireAdmin, async (req, res) => {
     else if (period === '90d') startDate = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
     // 'all' leaves startDate undefined
 
-    const baseMatch = {};
+    // Bundle revenue is counted once, on the bundle payment, not on the courses it unlocked.
+    const baseMatch = { bundlePaymentId: null };
     if (startDate) baseMatch.createdAt = { $gte: startDate };
 
     const [statusCounts, approvedSum, trend, topCourses, recentPayments] = await Promise.all([
@@ -338,7 +1170,8 @@ router.get('/revenue', authenticate, requireAdmin, async (req, res) => {
         { $sort: { _id: 1 } }
       ]),
       Payment.aggregate([
-        { $match: { ...baseMatch, status: 'approved' } },
+        // Bundle payments have no course of their own.
+        { $match: { ...baseMatch, status: 'approved', courseId: { $ne: null } } },
         {
           $group: {
             _id: '$courseId',
@@ -371,6 +1204,7 @@ router.get('/revenue', authenticate, requireAdmin, async (req, res) => {
         .limit(10)
         .populate('userId', 'name')
         .populate('courseId', 'title')
+        .populate('bundleId', 'title')
     ]);
 
     const counts = { pending: 0, approved: 0, rejected: 0, total: 0 };
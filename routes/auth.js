@@ -1,12 +1,76 @@
 const express = require('express');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { User } = require('../models');
-const { authenticate, generateToken } = require('../middleware/auth');
-const { sendPasswordResetOtpEmail } = require('../utils/mail');
+const { authenticate, allowPendingTwoFactorSetup, requireAdmin } = require('../middleware/auth');
+const { uploadAvatar, handleUploadError } = require('../middleware/upload');
+const {
+  discardUploadedTempFile,
+  persistUploadedFile,
+  removeStoredLocalUpload
+} = require('../utils/mediaStorage');
+const {
+  sendPasswordResetOtpEmail,
+  sendEmailVerificationOtpEmail,
+  sendEmailChangeOtpEmail,
+  sendEmailChangeNoticeEmail,
+  sendMagicLinkEmail
+} = require('../utils/mail');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions,
+  createDeviceSession
+} = require('../utils/sessions');
+const {
+  startTwoFactorEnrollment,
+  confirmTwoFactorEnrollment,
+  regenerateRecoveryCodes,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  verifyLoginSecondFactor,
+  verifyFreshTwoFactorCode
+} = require('../utils/twoFactor');
+const {
+  getClientIp,
+  getLoginLockout,
+  recordLoginFailure,
+  recordLoginSuccess,
+  consumeOtpRequest,
+  sendThrottled
+} = require('../utils/authThrottle');
+const { buildUserDataExport, deleteUserAccount } = require('../utils/accountDeletion');
+const { findPendingInvitation, acceptInvitation } = require('../utils/invitations');
+const {
+  isOidcConfigured,
+  createAuthorizationRequest,
+  completeAuthorization,
+  resolveOidcUser
+} = require('../utils/oidc');
+const { recordLoginEvent, getLoginHistory } = require('../utils/loginHistory');
+const {
+  refreshSuspensionStatus,
+  verifyReactivationToken,
+  buildAccountInactiveResponse,
+  submitReactivationRequest
+} = require('../utils/suspensions');
 
 const OTP_EXPIRY_MINUTES = 10;
+const EMAIL_VERIFICATION_EXPIRY_MINUTES = 30;
 const MAX_OTP_ATTEMPTS = 5;
+const ACCOUNT_DELETION_CONFIRMATION = 'DELETE';
+// Single sign-on accounts only have a generated password until they set their own.
+const PASSWORD_NOT_SET_RESPONSE = {
+  message: 'Your account signs in with single sign-on. Set a password with "Forgot password" first.',
+  code: 'PASSWORD_NOT_SET'
+};
+// Optional contact/locale fields editable through PUT /auth/profile (validated by the User model)
+const PROFILE_TEXT_FIELDS = ['phone', 'city', 'preferredLanguage', 'timezone'];
+const EMAIL_CHANGE_REVERT_DAYS = Number(process.env.EMAIL_CHANGE_REVERT_DAYS) || 7;
+const MAGIC_LINK_EXPIRY_MINUTES = Number(process.env.MAGIC_LINK_EXPIRY_MINUTES) || 15;
 
 const generateOtpCode = () => {
   if (typeof crypto.randomInt === 'function') {
@@ -15,6 +79,170 @@ const generateOtpCode = () => {
   return (Math.floor(100000 + Math.random() * 900000)).toString();
 };
 
+const hashOtpCode = (otpCode) => crypto.createHash('sha256').update(otpCode).digest('hex');
+
+// Profile fields returned by /me, login, register and every other auth response.
+const buildUserPayload = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  status: user.status,
+  emailVerified: user.emailVerified,
+  pendingEmail: user.pendingEmail || null,
+  twoFactorEnabled: user.twoFactorEnabled,
+  passwordSet: user.passwordSet !== false,
+  avatar: user.avatar || null,
+  phone: user.phone || '',
+  city: user.city || '',
+  preferredLanguage: user.preferredLanguage,
+  timezone: user.timezone
+});
+
+// Frontend page that reads ?token= and calls POST /auth/magic-link/verify.
+const buildMagicLinkUrl = (token) => {
+  const base = (process.env.MAGIC_LINK_URL || '').trim() ||
+    `${(process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '')}/magic-login`;
+  return `${base}${base.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+};
+
+const clearEmailVerificationOtp = (user) => {
+  user.emailVerificationOtpHash = undefined;
+  user.emailVerificationOtpExpiresAt = undefined;
+  user.emailVerificationOtpAttempts = 0;
+};
+
+// Store a fresh hashed verification OTP and mail it. Returns { sent, message } instead of throwing.
+const issueEmailVerificationOtp = async (user) => {
+  const otpCode = generateOtpCode();
+  user.emailVerificationOtpHash = hashOtpCode(otpCode);
+  user.emailVerificationOtpExpiresAt = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRY_MINUTES * 60 * 1000);
+  user.emailVerificationOtpAttempts = 0;
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    const mailResult = await sendEmailVerificationOtpEmail({
+      to: user.email,
+      userName: user.name,
+      otpCode,
+      expiresInMinutes: EMAIL_VERIFICATION_EXPIRY_MINUTES
+    });
+
+    if (mailResult?.skipped) {
+      clearEmailVerificationOtp(user);
+      await user.save({ validateBeforeSave: false });
+      return { sent: false, message: 'Email service is not configured on server. Configure SMTP or Resend.' };
+    }
+  } catch (mailError) {
+    console.error('Verification mail send error:', mailError);
+    clearEmailVerificationOtp(user);
+    await user.save({ validateBeforeSave: false });
+    return { sent: false, message: 'Unable to send verification mail. Check server mail provider configuration.' };
+  }
+
+  return { sent: true, message: 'Verification code sent to your email.' };
+};
+
+const clearPendingEmailChange = (user) => {
+  user.pendingEmail = null;
+  user.pendingEmailOtpHash = undefined;
+  user.pendingEmailOtpExpiresAt = undefined;
+  user.pendingEmailOtpAttempts = 0;
+  user.pendingEmailCancelTokenHash = undefined;
+};
+
+const clearEmailChangeRevert = (user) => {
+  user.emailChangeRevertTokenHash = undefined;
+  user.emailChangeRevertEmail = undefined;
+  user.emailChangeRevertExpiresAt = undefined;
+};
+
+/**
+ * Starting an email change needs the current password, or a fresh authenticator code
+ * when 2FA is on. Returns null when the check passes, otherwise { status, message, code }.
+ */
+const verifyEmailChangeAuthorization = async (req) => {
+  const { currentPassword, totpCode } = req.body;
+  const user = await User.findById(req.user._id).select('+password');
+  if (user.twoFactorEnabled && totpCode) {
+    const check = await verifyFreshTwoFactorCode(user._id, totpCode, { ipAddress: getClientIp(req) });
+    return check.ok ? null : { status: check.status, message: check.message, code: check.code };
+  }
+
+  if (user.passwordSet === false) {
+    return { status: 400, ...PASSWORD_NOT_SET_RESPONSE };
+  }
+  if (!currentPassword) {
+    return {
+      status: 400,
+      message: 'Current password is required to change your email',
+      code: 'REAUTH_REQUIRED'
+    };
+  }
+  if (!(await user.comparePassword(currentPassword.toString()))) {
+    return { status: 400, message: 'Current password is incorrect', code: 'INVALID_PASSWORD' };
+  }
+  return null;
+};
+
+// Frontend page that reads ?token= and calls POST /auth/email-change/cancel.
+const buildEmailChangeCancelUrl = (token) => {
+  const base = (process.env.EMAIL_CHANGE_CANCEL_URL || '').trim() ||
+    `${(process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '')}/cancel-email-change`;
+  return `${base}${base.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Hold `newEmail` as pending, send a confirmation code to it and a cancel link to the
+ * current address. Returns { sent, message } instead of throwing on mail errors.
+ */
+const startEmailChange = async (user, newEmail) => {
+  const otpCode = generateOtpCode();
+  const cancelToken = crypto.randomBytes(32).toString('base64url');
+
+  user.pendingEmail = newEmail;
+  user.pendingEmailOtpHash = hashOtpCode(otpCode);
+  user.pendingEmailOtpExpiresAt = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRY_MINUTES * 60 * 1000);
+  user.pendingEmailOtpAttempts = 0;
+  user.pendingEmailCancelTokenHash = hashOtpCode(cancelToken);
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    const mailResult = await sendEmailChangeOtpEmail({
+      to: newEmail,
+      userName: user.name,
+      otpCode,
+      expiresInMinutes: EMAIL_VERIFICATION_EXPIRY_MINUTES
+    });
+
+    if (mailResult?.skipped) {
+      clearPendingEmailChange(user);
+      await user.save({ validateBeforeSave: false });
+      return { sent: false, message: 'Email service is not configured on server. Configure SMTP or Resend.' };
+    }
+  } catch (mailError) {
+    console.error('Email change mail send error:', mailError);
+    clearPendingEmailChange(user);
+    await user.save({ validateBeforeSave: false });
+    return { sent: false, message: 'Unable to send confirmation code. Check server mail provider configuration.' };
+  }
+
+  // The notice is best effort: the change still needs the code from the new address.
+  try {
+    await sendEmailChangeNoticeEmail({
+      to: user.email,
+      userName: user.name,
+      newEmail,
+      cancelUrl: buildEmailChangeCancelUrl(cancelToken),
+      revertDays: EMAIL_CHANGE_REVERT_DAYS
+    });
+  } catch (mailError) {
+    console.error('Email change notice send error:', mailError);
+  }
+
+  return { sent: true, message: `Confirmation code sent to ${newEmail}.` };
+};
+
 // @route   POST /auth/register
 // @desc    Register a new user
 // @access  Public
@@ -41,19 +269,19 @@ router.post('/register', async (req, res) => {
       role: 'student'
     });
 
+    // Account is usable right away; paying for courses waits for email verification.
+    const verification = await issueEmailVerificationOtp(user);
+
     // Generate token
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await createSession(user._id, req);
+    await recordLoginEvent(req, { user, method: 'register', success: true });
 
     res.status(201).json({
       success: true,
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        status: user.status
-      }
+      refreshToken,
+      emailVerificationSent: verification.sent,
+      user: buildUserPayload(user)
     });
   } catch (error) {
     console.error('Register error:', error);
@@ -61,68 +289,648 @@ router.post('/register', async (req, res) => {
   }
 });
 
-// @route   POST /auth/login
-// @desc    Login user & get token
-// @access  Public
-router.post('/login', async (req, res) => {
+// @route   POST /auth/login
+// @desc    Login user & get token
+// @access  Public
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Please provide email and password' });
+    }
+
+    const ipAddress = getClientIp(req);
+    const lockout = await getLoginLockout({ email, ipAddress });
+    if (lockout) {
+      const lockedUser = await User.findOne({ email }).select('email');
+      await recordLoginEvent(req, { user: lockedUser, email, method: 'password', success: false, failureReason: 'locked' });
+      return sendThrottled(res, lockout, 'LOGIN_LOCKED');
+    }
+
+    // Check for user
+    const user = await User.findOne({ email }).select('+password');
+    if (!user) {
+      await recordLoginFailure({ email, ipAddress });
+      await recordLoginEvent(req, { email, method: 'password', success: false, failureReason: 'unknown_account' });
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    // Check password
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      await recordLoginFailure({ email, ipAddress });
+      await recordLoginEvent(req, { user, method: 'password', success: false, failureReason: 'invalid_credentials' });
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    // Check status
+    await refreshSuspensionStatus(user);
+    if (user.status !== 'active') {
+      await recordLoginEvent(req, { user, method: 'password', success: false, failureReason: `account_${user.status}` });
+      return res.status(403).json(await buildAccountInactiveResponse(user, { allowReactivationRequest: true }));
+    }
+
+    // Two-factor accounts get a short-lived challenge instead of a session. The failure
+    // counter is only cleared once the second factor is accepted too.
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user._id)
+      });
+    }
+
+    await recordLoginSuccess({ email });
+
+    const { deviceLimit, token, refreshToken } = await createDeviceSession(user, req);
+    if (deviceLimit) {
+      await recordLoginEvent(req, { user, method: 'password', success: false, failureReason: 'device_limit' });
+      return res.status(409).json(deviceLimit);
+    }
+
+    await recordLoginEvent(req, { user, method: 'password', success: true });
+
+    res.json({
+      success: true,
+      token,
+      refreshToken,
+      twoFactorSetupRequired: user.role === 'admin',
+      user: buildUserPayload(user)
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   POST /auth/magic-link/request
+// @desc    Email a single-use passwordless sign-in link
+// @access  Public
+router.post('/magic-link/request', async (req, res) => {
+  try {
+    const email = req.body.email?.toString().trim().toLowerCase();
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    // Shares the cooldown and daily caps with the password-reset/verification OTP emails.
+    const otpThrottle = await consumeOtpRequest({ email, ipAddress: getClientIp(req) });
+    if (!otpThrottle.allowed) {
+      return sendThrottled(res, otpThrottle, 'OTP_RATE_LIMITED');
+    }
+
+    const user = await User.findOne({ email, status: 'active' });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'No account found with this email. Please register first.'
+      });
+    }
+
+    const loginToken = crypto.randomBytes(32).toString('base64url');
+    user.magicLinkTokenHash = hashOtpCode(loginToken);
+    user.magicLinkExpiresAt = new Date(Date.now() + MAGIC_LINK_EXPIRY_MINUTES * 60 * 1000);
+    await user.save({ validateBeforeSave: false });
+
+    const clearMagicLink = async () => {
+      user.magicLinkTokenHash = undefined;
+      user.magicLinkExpiresAt = undefined;
+      await user.save({ validateBeforeSave: false });
+    };
+
+    try {
+      const mailResult = await sendMagicLinkEmail({
+        to: user.email,
+        userName: user.name,
+        loginUrl: buildMagicLinkUrl(loginToken),
+        expiresInMinutes: MAGIC_LINK_EXPIRY_MINUTES
+      });
+
+      if (mailResult?.skipped) {
+        await clearMagicLink();
+        return res.status(500).json({
+          success: false,
+          message: 'Email service is not configured on server. Configure SMTP or Resend.'
+        });
+      }
+    } catch (mailError) {
+      console.error('Magic link mail send error:', mailError);
+      await clearMagicLink();
+      return res.status(500).json({
+        success: false,
+        message: 'Unable to send sign-in link. Check server mail provider configuration.'
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: 'Sign-in link sent to your email.'
+    });
+  } catch (error) {
+    console.error('Magic link request error:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /auth/magic-link/verify
+// @desc    Exchange a magic-link token for the same payload as POST /auth/login
+// @access  Public
+router.post('/magic-link/verify', async (req, res) => {
+  try {
+    const loginToken = req.body.token?.toString().trim();
+
+    if (!loginToken) {
+      return res.status(400).json({ message: 'Sign-in token is required' });
+    }
+
+    // Clearing the hash in the same query makes the link single-use.
+    const user = await User.findOneAndUpdate(
+      {
+        magicLinkTokenHash: hashOtpCode(loginToken),
+        magicLinkExpiresAt: { $gt: new Date() }
+      },
+      { $unset: { magicLinkTokenHash: 1, magicLinkExpiresAt: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        message: 'Sign-in link is invalid, expired or already used',
+        code: 'INVALID_MAGIC_LINK'
+      });
+    }
+
+    await refreshSuspensionStatus(user);
+    if (user.status !== 'active') {
+      await recordLoginEvent(req, { user, method: 'magic_link', success: false, failureReason: `account_${user.status}` });
+      return res.status(403).json(await buildAccountInactiveResponse(user, { allowReactivationRequest: true }));
+    }
+
+    // Opening the link proves the user controls the inbox.
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      clearEmailVerificationOtp(user);
+      await user.save({ validateBeforeSave: false });
+    }
+
+    // The link replaces the password only; two-factor accounts still need their second factor.
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user._id)
+      });
+    }
+
+    await recordLoginSuccess({ email: user.email });
+
+    const { deviceLimit, token, refreshToken } = await createDeviceSession(user, req);
+    if (deviceLimit) {
+      await recordLoginEvent(req, { user, method: 'magic_link', success: false, failureReason: 'device_limit' });
+      return res.status(409).json(deviceLimit);
+    }
+
+    await recordLoginEvent(req, { user, method: 'magic_link', success: true });
+
+    res.json({
+      success: true,
+      token,
+      refreshToken,
+      twoFactorSetupRequired: user.role === 'admin',
+      user: buildUserPayload(user)
+    });
+  } catch (error) {
+    console.error('Magic link verify error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /auth/oidc/authorize
+// @desc    Start single sign-on; returns the identity provider URL to redirect to
+// @access  Public
+router.get('/oidc/authorize', async (req, res) => {
+  try {
+    if (!isOidcConfigured()) {
+      return res.status(404).json({ message: 'Single sign-on is not configured', code: 'OIDC_NOT_CONFIGURED' });
+    }
+
+    const { authorizationUrl, state, clientVerifier } = await createAuthorizationRequest();
+    res.json({ success: true, authorizationUrl, state, clientVerifier });
+  } catch (error) {
+    console.error('OIDC authorize error:', error);
+    res.status(502).json({ message: 'Identity provider is unavailable' });
+  }
+});
+
+// @route   POST /auth/oidc/callback
+// @desc    Finish single sign-on with the provider's code/state; same payload as POST /auth/login
+// @access  Public
+router.post('/oidc/callback', async (req, res) => {
+  try {
+    if (!isOidcConfigured()) {
+      return res.status(404).json({ message: 'Single sign-on is not configured', code: 'OIDC_NOT_CONFIGURED' });
+    }
+
+    const code = req.body.code?.toString().trim();
+    const state = req.body.state?.toString().trim();
+    const clientVerifier = req.body.clientVerifier?.toString().trim();
+    if (!code || !state || !clientVerifier) {
+      return res.status(400).json({ message: 'Authorization code, state and client verifier are required' });
+    }
+
+    let claims;
+    try {
+      claims = await completeAuthorization({ code, state, clientVerifier });
+    } catch (oidcError) {
+      console.error('OIDC callback verification error:', oidcError.message);
+      return res.status(401).json({ message: 'Sign-in with identity provider failed', code: 'OIDC_LOGIN_FAILED' });
+    }
+
+    if (!claims) {
+      return res.status(400).json({
+        message: 'Sign-in request expired or was already used. Please try again.',
+        code: 'OIDC_INVALID_STATE'
+      });
+    }
+
+    const resolved = await resolveOidcUser(claims);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ message: resolved.error });
+    }
+
+    const { user } = resolved;
+    if (resolved.takeOverUnverified) {
+      await revokeUserSessions(user._id, { reason: 'oidc_account_linked' });
+    }
+
+    await refreshSuspensionStatus(user);
+    if (user.status !== 'active') {
+      await recordLoginEvent(req, { user, method: 'oidc', success: false, failureReason: `account_${user.status}` });
+      return res.status(403).json(await buildAccountInactiveResponse(user, { allowReactivationRequest: true }));
+    }
+
+    // Single sign-on replaces the password only; two-factor accounts still need their second factor.
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user._id)
+      });
+    }
+
+    const { deviceLimit, token, refreshToken } = await createDeviceSession(user, req);
+    if (deviceLimit) {
+      await recordLoginEvent(req, { user, method: 'oidc', success: false, failureReason: 'device_limit' });
+      return res.status(409).json(deviceLimit);
+    }
+
+    await recordLoginEvent(req, { user, method: 'oidc', success: true });
+
+    res.status(resolved.created ? 201 : 200).json({
+      success: true,
+      token,
+      refreshToken,
+      accountCreated: resolved.created,
+      accountLinked: resolved.linked,
+      twoFactorSetupRequired: user.role === 'admin',
+      user: buildUserPayload(user)
+    });
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /auth/login/2fa
+// @desc    Complete login with an authenticator or recovery code
+// @access  Public
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const challengeToken = req.body.challengeToken?.toString().trim();
+    const code = req.body.code?.toString().trim();
+    const recoveryCode = req.body.recoveryCode?.toString().trim();
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Challenge token and authenticator or recovery code are required' });
+    }
+
+    const challenge = verifyLoginChallenge(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({
+        message: 'Login challenge expired. Please login again.',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+
+    const user = await User.findById(challenge.id).select('+twoFactorSecret');
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    await refreshSuspensionStatus(user);
+    if (user.status !== 'active') {
+      await recordLoginEvent(req, { user, method: 'two_factor', success: false, failureReason: `account_${user.status}` });
+      return res.status(403).json(await buildAccountInactiveResponse(user, { allowReactivationRequest: true }));
+    }
+
+    // Wrong second-factor codes count towards the same lockout as wrong passwords.
+    const ipAddress = getClientIp(req);
+    const lockout = await getLoginLockout({ email: user.email, ipAddress });
+    if (lockout) {
+      await recordLoginEvent(req, { user, method: 'two_factor', success: false, failureReason: 'locked' });
+      return sendThrottled(res, lockout, 'LOGIN_LOCKED');
+    }
+
+    const accepted = await verifyLoginSecondFactor(user, { code, recoveryCode });
+    if (!accepted) {
+      await recordLoginFailure({ email: user.email, ipAddress });
+      await recordLoginEvent(req, { user, method: 'two_factor', success: false, failureReason: 'invalid_second_factor' });
+      return res.status(401).json({
+        message: 'Invalid or already used code',
+        code: 'INVALID_TOTP'
+      });
+    }
+
+    await recordLoginSuccess({ email: user.email });
+
+    const { deviceLimit, token, refreshToken } = await createDeviceSession(user, req);
+    if (deviceLimit) {
+      await recordLoginEvent(req, { user, method: 'two_factor', success: false, failureReason: 'device_limit' });
+      return res.status(409).json(deviceLimit);
+    }
+
+    await recordLoginEvent(req, { user, method: 'two_factor', success: true });
+
+    res.json({
+      success: true,
+      token,
+      refreshToken,
+      user: buildUserPayload(user)
+    });
+  } catch (error) {
+    console.error('Login 2FA error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /auth/reactivation-requests
+// @desc    Suspended student asks for their account to be reactivated, using the
+//          reactivationToken returned by the failed sign-in
+// @access  Public (reactivation token)
+router.post('/reactivation-requests', async (req, res) => {
+  try {
+    const reactivationToken = req.body.reactivationToken?.toString().trim();
+    const message = req.body.message?.toString().trim();
+
+    if (!reactivationToken || !message) {
+      return res.status(400).json({ message: 'Reactivation token and message are required' });
+    }
+
+    const decoded = verifyReactivationToken(reactivationToken);
+    if (!decoded) {
+      return res.status(401).json({
+        message: 'Reactivation token expired. Please sign in again.',
+        code: 'INVALID_REACTIVATION_TOKEN'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await refreshSuspensionStatus(user);
+    const result = await submitReactivationRequest(user, message);
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Reactivation request sent. An admin will review it.',
+      reactivationRequest: {
+        id: result.request._id,
+        status: result.request.status,
+        createdAt: result.request.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Reactivation request error:', error);
+    if (error?.name === 'ValidationError') {
+      const firstMessage = Object.values(error.errors || {})[0]?.message || 'Invalid request';
+      return res.status(400).json({ message: firstMessage });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /auth/2fa/setup
+// @desc    Start TOTP enrollment and return the provisioning URI for the authenticator app
+// @access  Private/Admin
+router.post('/2fa/setup', allowPendingTwoFactorSetup, authenticate, requireAdmin, async (req, res) => {
+  try {
+    // Re-enrolling replaces the current secret, so prove possession of it first.
+    if (req.user.twoFactorEnabled) {
+      const check = await verifyFreshTwoFactorCode(req.user._id, req.body?.totpCode, { ipAddress: getClientIp(req) });
+      if (!check.ok) {
+        return res.status(check.status).json({ message: check.message, code: check.code });
+      }
+    }
+
+    const { secret, otpauthUrl } = await startTwoFactorEnrollment(req.user);
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /auth/2fa/enable
+// @desc    Confirm TOTP enrollment with a code and receive recovery codes
+// @access  Private/Admin
+router.post('/2fa/enable', allowPendingTwoFactorSetup, authenticate, requireAdmin, async (req, res) => {
+  try {
+    const code = req.body.code?.toString().trim();
+    if (!code) {
+      return res.status(400).json({ message: 'Authenticator code is required' });
+    }
+
+    const recoveryCodes = await confirmTwoFactorEnrollment(req.user._id, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        message: 'Invalid code or no pending enrollment. Start setup again.',
+        code: 'INVALID_TOTP'
+      });
+    }
+
+    // Sessions opened before enrollment never passed the second factor.
+    await revokeUserSessions(req.user._id, { exceptSessionId: req.sessionId, reason: 'two_factor_enabled' });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes safely.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /auth/2fa/recovery-codes
+// @desc    Replace recovery codes (requires a fresh authenticator code)
+// @access  Private/Admin
+router.post('/2fa/recovery-codes', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const check = await verifyFreshTwoFactorCode(req.user._id, req.body?.totpCode, { ipAddress: getClientIp(req) });
+    if (!check.ok) {
+      return res.status(check.status).json({ message: check.message, code: check.code });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user._id);
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = req.body.refreshToken?.toString().trim();
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const rotated = await rotateSession(refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({
+        message: 'Session has ended. Please login again.',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    const user = await User.findById(rotated.session.userId);
+    if (!user || user.status !== 'active') {
+      await revokeSession(rotated.session._id, rotated.session.userId, 'account_inactive');
+      return res.status(403).json(user
+        ? await buildAccountInactiveResponse(user)
+        : { message: 'Account is not active. Please contact support.', code: 'ACCOUNT_INACTIVE' });
+    }
+
+    res.json({
+      success: true,
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+      user: buildUserPayload(user)
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', allowPendingTwoFactorSetup, authenticate, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, req.user._id, 'logout');
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /auth/sessions
+// @desc    List active sessions (devices) for the current user
+// @access  Private
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.sessionId.toString()
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', authenticate, async (req, res) => {
   try {
-    const { email, password } = req.body;
-
-    if (!email || !password) {
-      return res.status(400).json({ message: 'Please provide email and password' });
-    }
-
-    // Check for user
-    const user = await User.findOne({ email }).select('+password');
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
-    }
-
-    // Check password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
     }
 
-    // Check status
-    if (user.status !== 'active') {
-      return res.status(403).json({ message: 'Account is inactive' });
+    const revoked = await revokeSession(req.params.id, req.user._id, 'revoked_by_user');
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
     }
 
-    const token = generateToken(user._id);
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    res.json({
-      success: true,
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        status: user.status
-      }
+// @route   DELETE /auth/sessions
+// @desc    Revoke every session except the current one
+// @access  Private
+router.delete('/sessions', authenticate, async (req, res) => {
+  try {
+    const revokedCount = await revokeUserSessions(req.user._id, {
+      exceptSessionId: req.sessionId,
+      reason: 'revoked_by_user'
     });
+    res.json({ success: true, revokedCount });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
 // @route   GET /auth/me
 // @desc    Get current user
 // @access  Private
-router.get('/me', authenticate, async (req, res) => {
+router.get('/me', allowPendingTwoFactorSetup, authenticate, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     res.json({
       success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        status: user.status
-      }
+      user: buildUserPayload(user),
+      // Set while an admin is viewing the app as this student (read-only).
+      impersonation: req.impersonator
+        ? {
+          active: true,
+          readOnly: true,
+          impersonator: {
+            id: req.impersonator._id,
+            name: req.impersonator.name,
+            email: req.impersonator.email
+          },
+          expiresAt: req.impersonationExpiresAt
+        }
+        : null
     });
   } catch (error) {
     console.error('Get me error:', error);
@@ -130,6 +938,89 @@ router.get('/me', authenticate, async (req, res) => {
   }
 });
 
+// @route   GET /auth/me/login-history
+// @desc    Recent sign-ins and failed attempts on the current account, newest first
+// @access  Private
+router.get('/me/login-history', authenticate, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.max(1, Math.min(50, parseInt(req.query.limit, 10) || 20));
+
+    const loginHistory = await getLoginHistory(req.user._id, { limit, skip: (page - 1) * limit });
+    res.json({ success: true, loginHistory, page, limit });
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /auth/me/export
+// @desc    Download the profile, payments, progress and quiz results as JSON
+// @access  Private
+router.get('/me/export', authenticate, async (req, res) => {
+  try {
+    if (req.impersonator) {
+      return res.status(403).json({
+        message: 'Data export is not available while viewing as a student.',
+        code: 'IMPERSONATION_READ_ONLY'
+      });
+    }
+
+    const data = await buildUserDataExport(req.user._id);
+    if (!data) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const fileDate = new Date().toISOString().slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="account-export-${fileDate}.json"`);
+    res.set('Cache-Control', 'no-store');
+    res.json(data);
+  } catch (error) {
+    console.error('Export account data error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /auth/me
+// @desc    Permanently delete own account (requires password and confirm: "DELETE")
+// @access  Private
+router.delete('/me', authenticate, async (req, res) => {
+  try {
+    const { password, confirm } = req.body || {};
+
+    if (confirm !== ACCOUNT_DELETION_CONFIRMATION) {
+      return res.status(400).json({
+        message: `Type ${ACCOUNT_DELETION_CONFIRMATION} to confirm account deletion`,
+        code: 'DELETION_NOT_CONFIRMED'
+      });
+    }
+
+    // Admin accounts are removed by another admin so the last-admin guard still applies.
+    if (req.userRole === 'admin') {
+      return res.status(403).json({ message: 'Admin accounts cannot be self-deleted. Ask another admin.' });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.passwordSet === false) {
+      return res.status(400).json(PASSWORD_NOT_SET_RESPONSE);
+    }
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(400).json({ message: 'Invalid password' });
+    }
+
+    await deleteUserAccount(user);
+
+    res.json({ success: true, message: 'Your account and personal data have been deleted' });
+  } catch (error) {
+    console.error('Delete own account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT /auth/profile
 // @desc    Update user profile
 // @access  Private
@@ -137,6 +1028,7 @@ router.put('/profile', authenticate, async (req, res) => {
   try {
     const { name, email } = req.body;
     const updates = {};
+    let requestedEmail = null;
 
     if (typeof name === 'string') {
       const trimmedName = name.trim();
@@ -152,36 +1044,129 @@ router.put('/profile', authenticate, async (req, res) => {
         return res.status(400).json({ message: 'Email cannot be empty' });
       }
 
-      const existingUser = await User.findOne({
-        email: normalizedEmail,
-        _id: { $ne: req.user._id }
-      });
+      if (normalizedEmail !== req.user.email) {
+        await User.validate({ email: normalizedEmail }, ['email']);
 
-      if (existingUser) {
-        return res.status(400).json({ message: 'Email already in use' });
-      }
+        const existingUser = await User.findOne({
+          email: normalizedEmail,
+          _id: { $ne: req.user._id }
+        });
 
-      updates.email = normalizedEmail;
+        if (existingUser) {
+          return res.status(400).json({ message: 'Email already in use' });
+        }
+
+        const reauthError = await verifyEmailChangeAuthorization(req);
+        if (reauthError) {
+          return res.status(reauthError.status).json({ message: reauthError.message, code: reauthError.code });
+        }
+
+        // The address changes only after POST /auth/email-change/confirm.
+        const otpThrottle = await consumeOtpRequest({ email: normalizedEmail, ipAddress: getClientIp(req) });
+        if (!otpThrottle.allowed) {
+          return sendThrottled(res, otpThrottle, 'OTP_RATE_LIMITED');
+        }
+        requestedEmail = normalizedEmail;
+      }
     }
 
-    if (Object.keys(updates).length === 0) {
+    PROFILE_TEXT_FIELDS.forEach((field) => {
+      if (typeof req.body[field] === 'string') {
+        updates[field] = req.body[field].trim();
+      }
+    });
+
+    if (Object.keys(updates).length === 0 && !requestedEmail && typeof email !== 'string') {
       return res.status(400).json({ message: 'No profile fields provided' });
     }
 
-    const user = await User.findByIdAndUpdate(req.user._id, { $set: updates }, { new: true, runValidators: true });
+    const user = Object.keys(updates).length
+      ? await User.findByIdAndUpdate(req.user._id, { $set: updates }, { new: true, runValidators: true })
+      : await User.findById(req.user._id);
+
+    let emailChange;
+    if (requestedEmail) {
+      emailChange = await startEmailChange(user, requestedEmail);
+    }
 
     res.json({
       success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        status: user.status
-      }
+      emailChangePending: Boolean(emailChange?.sent),
+      emailChangeMessage: emailChange?.message,
+      user: buildUserPayload(user)
     });
   } catch (error) {
     console.error('Update profile error:', error);
+    if (error?.name === 'ValidationError') {
+      const firstMessage = Object.values(error.errors || {})[0]?.message || 'Invalid profile data';
+      return res.status(400).json({ message: firstMessage });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /auth/profile/avatar
+// @desc    Upload or replace the profile picture
+// @access  Private
+router.post('/profile/avatar',
+  authenticate,
+  uploadAvatar.single('avatar'),
+  handleUploadError,
+  async (req, res) => {
+    let uploadPersisted = false;
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: 'Please upload a file' });
+      }
+
+      const user = await User.findById(req.user._id);
+      if (!user) {
+        await discardUploadedTempFile(req.file);
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const persistedAvatar = await persistUploadedFile({
+        file: req.file,
+        localPath: `/uploads/avatars/${req.file.filename}`,
+        cloudFolder: 'avatars',
+        resourceType: 'image'
+      });
+      uploadPersisted = true;
+
+      const oldAvatarPath = user.avatar;
+      user.avatar = persistedAvatar.path;
+      await user.save({ validateBeforeSave: false });
+      await removeStoredLocalUpload(oldAvatarPath);
+
+      res.json({ success: true, user: buildUserPayload(user) });
+    } catch (error) {
+      if (req.file && !uploadPersisted) {
+        await discardUploadedTempFile(req.file);
+      }
+      console.error('Upload avatar error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   DELETE /auth/profile/avatar
+// @desc    Remove the profile picture
+// @access  Private
+router.delete('/profile/avatar', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const oldAvatarPath = user.avatar;
+    user.avatar = null;
+    await user.save({ validateBeforeSave: false });
+    await removeStoredLocalUpload(oldAvatarPath);
+
+    res.json({ success: true, user: buildUserPayload(user) });
+  } catch (error) {
+    console.error('Remove avatar error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -194,6 +1179,9 @@ router.post('/change-password', authenticate, async (req, res) => {
     const { currentPassword, newPassword } = req.body;
 
     const user = await User.findById(req.user.id).select('+password');
+    if (user.passwordSet === false) {
+      return res.status(400).json(PASSWORD_NOT_SET_RESPONSE);
+    }
 
     const isMatch = await user.comparePassword(currentPassword);
     if (!isMatch) {
@@ -203,6 +1191,9 @@ router.post('/change-password', authenticate, async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device; the session making this request stays valid.
+    await revokeUserSessions(user._id, { exceptSessionId: req.sessionId, reason: 'password_changed' });
+
     res.json({ success: true, message: 'Password updated successfully' });
   } catch (error) {
     console.error('Change password error:', error);
@@ -210,6 +1201,221 @@ router.post('/change-password', authenticate, async (req, res) => {
   }
 });
 
+// @route   POST /auth/verify-email
+// @desc    Confirm email address using the verification OTP
+// @access  Private
+router.post('/verify-email', authenticate, async (req, res) => {
+  try {
+    const otp = req.body.otp?.toString().trim();
+    if (!otp) {
+      return res.status(400).json({ message: 'Verification code is required' });
+    }
+
+    const user = await User.findById(req.user._id).select(
+      '+emailVerificationOtpHash +emailVerificationOtpExpiresAt +emailVerificationOtpAttempts'
+    );
+
+    if (user.emailVerified) {
+      return res.json({ success: true, message: 'Email is already verified.' });
+    }
+
+    if (!user.emailVerificationOtpHash || !user.emailVerificationOtpExpiresAt) {
+      return res.status(400).json({ message: 'Invalid or expired verification code' });
+    }
+
+    if (user.emailVerificationOtpAttempts >= MAX_OTP_ATTEMPTS) {
+      return res.status(429).json({ message: 'Too many invalid attempts. Please request a new code.' });
+    }
+
+    if (user.emailVerificationOtpExpiresAt < new Date()) {
+      clearEmailVerificationOtp(user);
+      await user.save({ validateBeforeSave: false });
+      return res.status(400).json({ message: 'Verification code expired. Please request a new code.' });
+    }
+
+    if (hashOtpCode(otp) !== user.emailVerificationOtpHash) {
+      user.emailVerificationOtpAttempts += 1;
+      await user.save({ validateBeforeSave: false });
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    user.emailVerified = true;
+    clearEmailVerificationOtp(user);
+    await user.save({ validateBeforeSave: false });
+
+    return res.json({ success: true, message: 'Email verified successfully.' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /auth/email-change/confirm
+// @desc    Confirm the pending email address with the code sent to it
+// @access  Private
+router.post('/email-change/confirm', authenticate, async (req, res) => {
+  try {
+    const otp = req.body.otp?.toString().trim();
+    if (!otp) {
+      return res.status(400).json({ message: 'Confirmation code is required' });
+    }
+
+    const user = await User.findById(req.user._id).select(
+      '+pendingEmailOtpHash +pendingEmailOtpExpiresAt +pendingEmailOtpAttempts +pendingEmailCancelTokenHash'
+    );
+
+    if (!user.pendingEmail || !user.pendingEmailOtpHash || !user.pendingEmailOtpExpiresAt) {
+      return res.status(400).json({ message: 'No email change is pending' });
+    }
+
+    if (user.pendingEmailOtpAttempts >= MAX_OTP_ATTEMPTS) {
+      return res.status(429).json({ message: 'Too many invalid attempts. Please request the change again.' });
+    }
+
+    if (user.pendingEmailOtpExpiresAt < new Date()) {
+      clearPendingEmailChange(user);
+      await user.save({ validateBeforeSave: false });
+      return res.status(400).json({ message: 'Confirmation code expired. Please request the change again.' });
+    }
+
+    if (hashOtpCode(otp) !== user.pendingEmailOtpHash) {
+      user.pendingEmailOtpAttempts += 1;
+      await user.save({ validateBeforeSave: false });
+      return res.status(400).json({ message: 'Invalid confirmation code' });
+    }
+
+    // Someone may have registered the address while the change was pending.
+    if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+      clearPendingEmailChange(user);
+      await user.save({ validateBeforeSave: false });
+      return res.status(400).json({ message: 'Email already in use' });
+    }
+
+    // The cancel link sent to the old address keeps working as an undo for a while.
+    user.emailChangeRevertTokenHash = user.pendingEmailCancelTokenHash;
+    user.emailChangeRevertEmail = user.email;
+    user.emailChangeRevertExpiresAt = new Date(Date.now() + EMAIL_CHANGE_REVERT_DAYS * 24 * 60 * 60 * 1000);
+    user.email = user.pendingEmail;
+    user.emailVerified = true;
+    clearPendingEmailChange(user);
+    clearEmailVerificationOtp(user);
+    await user.save({ validateBeforeSave: false });
+
+    // Sign out every other device; the session making this request stays valid.
+    await revokeUserSessions(user._id, { exceptSessionId: req.sessionId, reason: 'email_changed' });
+
+    res.json({ success: true, message: 'Email address updated.', user: buildUserPayload(user) });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /auth/email-change
+// @desc    Cancel the pending email change from within the app
+// @access  Private
+router.delete('/email-change', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    clearPendingEmailChange(user);
+    await user.save({ validateBeforeSave: false });
+
+    res.json({ success: true, message: 'Email change cancelled.', user: buildUserPayload(user) });
+  } catch (error) {
+    console.error('Cancel email change error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /auth/email-change/cancel
+// @desc    Cancel a pending email change, or undo a recently confirmed one, using the
+//          link sent to the previous address
+// @access  Public
+router.post('/email-change/cancel', async (req, res) => {
+  try {
+    const cancelToken = req.body.token?.toString().trim();
+    if (!cancelToken) {
+      return res.status(400).json({ message: 'Cancel token is required' });
+    }
+
+    const tokenHash = hashOtpCode(cancelToken);
+    const pendingUser = await User.findOne({ pendingEmailCancelTokenHash: tokenHash });
+    if (pendingUser) {
+      clearPendingEmailChange(pendingUser);
+      await pendingUser.save({ validateBeforeSave: false });
+
+      return res.json({
+        success: true,
+        message: 'Email change cancelled. If you did not request it, change your password now.'
+      });
+    }
+
+    const user = await User.findOne({
+      emailChangeRevertTokenHash: tokenHash,
+      emailChangeRevertExpiresAt: { $gt: new Date() }
+    }).select('+emailChangeRevertEmail');
+    if (!user) {
+      return res.status(400).json({ message: 'This link has expired or was already used' });
+    }
+
+    if (await User.exists({ email: user.emailChangeRevertEmail, _id: { $ne: user._id } })) {
+      return res.status(409).json({
+        message: 'The previous address now belongs to another account. Please contact support.'
+      });
+    }
+
+    user.email = user.emailChangeRevertEmail;
+    user.emailVerified = true;
+    clearEmailChangeRevert(user);
+    clearPendingEmailChange(user);
+    await user.save({ validateBeforeSave: false });
+
+    // Whoever confirmed the change may still be signed in.
+    await revokeUserSessions(user._id, { reason: 'email_change_reverted' });
+
+    res.json({
+      success: true,
+      message: 'Your previous email address was restored and all devices were signed out. Change your password now.'
+    });
+  } catch (error) {
+    console.error('Cancel email change by token error:', error);
+    if (error?.code === 11000) {
+      return res.status(409).json({
+        message: 'The previous address now belongs to another account. Please contact support.'
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /auth/verify-email/resend
+// @desc    Send a new email verification OTP
+// @access  Private
+router.post('/verify-email/resend', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified.' });
+    }
+
+    const otpThrottle = await consumeOtpRequest({ email: user.email, ipAddress: getClientIp(req) });
+    if (!otpThrottle.allowed) {
+      return sendThrottled(res, otpThrottle, 'OTP_RATE_LIMITED');
+    }
+
+    const verification = await issueEmailVerificationOtp(user);
+    if (!verification.sent) {
+      return res.status(500).json({ success: false, message: verification.message });
+    }
+
+    return res.json({ success: true, message: verification.message });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /auth/forgot-password/request
 // @desc    Request OTP for password reset
 // @access  Public
@@ -221,6 +1427,12 @@ router.post('/forgot-password/request', async (req, res) => {
       return res.status(400).json({ message: 'Email is required' });
     }
 
+    // Counted before the account lookup so unknown emails are limited too.
+    const otpThrottle = await consumeOtpRequest({ email, ipAddress: getClientIp(req) });
+    if (!otpThrottle.allowed) {
+      return sendThrottled(res, otpThrottle, 'OTP_RATE_LIMITED');
+    }
+
     const user = await User.findOne({ email, status: 'active' });
 
     if (!user) {
@@ -231,7 +1443,7 @@ router.post('/forgot-password/request', async (req, res) => {
     }
 
     const otpCode = generateOtpCode();
-    const otpHash = crypto.createHash('sha256').update(otpCode).digest('hex');
+    const otpHash = hashOtpCode(otpCode);
     const expiresAt = new Date(Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000);
 
     user.passwordResetOtpHash = otpHash;
@@ -316,7 +1528,7 @@ router.post('/forgot-password/reset', async (req, res) => {
       return res.status(400).json({ message: 'OTP expired. Please request a new OTP.' });
     }
 
-    const otpHash = crypto.createHash('sha256').update(otp).digest('hex');
+    const otpHash = hashOtpCode(otp);
 
     if (otpHash !== user.passwordResetOtpHash) {
       user.passwordResetOtpAttempts += 1;
@@ -325,11 +1537,15 @@ router.post('/forgot-password/reset', async (req, res) => {
     }
 
     user.password = newPassword;
+    // The OTP reached this mailbox, which also proves the address is real.
+    user.emailVerified = true;
     user.passwordResetOtpHash = undefined;
     user.passwordResetOtpExpiresAt = undefined;
     user.passwordResetOtpAttempts = 0;
     await user.save();
 
+    await revokeUserSessions(user._id, { reason: 'password_reset' });
+
     return res.json({ success: true, message: 'Password reset successful. Please login.' });
   } catch (error) {
     console.error('Forgot password reset error:', error);
@@ -337,8 +1553,68 @@ router.post('/forgot-password/reset', async (req, res) => {
   }
 });
 
+// @route   GET /auth/invitations/:token
+// @desc    Look up a pending invitation so the accept page can show the email and role
+// @access  Public
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation is invalid, expired or already used' });
+    }
+
+    res.json({
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /auth/invitations/accept
+// @desc    Accept an invitation, create the admin/instructor account & get token
+// @access  Public
+router.post('/invitations/accept', async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    if (!token || !name || !password) {
+      return res.status(400).json({ message: 'Please provide all required fields' });
+    }
+
+    const result = await acceptInvitation({ token, name, password });
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    const { user } = result;
+    const { token: accessToken, refreshToken } = await createSession(user._id, req);
+    await recordLoginEvent(req, { user, method: 'invitation', success: true });
+
+    res.status(201).json({
+      success: true,
+      token: accessToken,
+      refreshToken,
+      twoFactorSetupRequired: user.role === 'admin',
+      user: buildUserPayload(user)
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    if (error?.name === 'ValidationError') {
+      const firstMessage = Object.values(error.errors || {})[0]?.message || 'Invalid account data';
+      return res.status(400).json({ message: firstMessage });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /auth/setup-admin
-// @desc    Create admin user (only if no admin exists usually, but keeping simple)
+// @desc    Bootstrap the first admin user (later admins are invited via /admin/invitations)
 // @access  Public (should be protected in prod)
 router.post('/setup-admin', async (req, res) => {
   try {
@@ -384,18 +1660,15 @@ router.post('/setup-admin', async (req, res) => {
       role: 'admin'
     });
 
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await createSession(user._id, req);
+    await recordLoginEvent(req, { user, method: 'register', success: true });
 
     res.status(201).json({
       success: true,
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        status: user.status
-      }
+      refreshToken,
+      twoFactorSetupRequired: true,
+      user: buildUserPayload(user)
     });
   } catch (error) {
     console.error('Setup admin error:', error);
@@ -0,0 +1,232 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { Bundle, Course, Payment } = require('../models');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { recordAudit, toAuditSnapshot } = require('../utils/auditLog');
+
+const BUNDLE_FIELDS = ['title', 'description', 'courseIds', 'price', 'status'];
+
+// Returns the ids when every one of them is an existing course, otherwise an error message.
+const parseBundleCourseIds = async (value) => {
+  if (!Array.isArray(value)) {
+    return { error: 'courseIds must be a list of course IDs' };
+  }
+
+  const ids = Array.from(new Set(value.map((id) => (id ?? '').toString().trim()).filter(Boolean)));
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'courseIds must be a list of course IDs' };
+  }
+
+  const count = await Course.countDocuments({ _id: { $in: ids } });
+  if (count !== ids.length) {
+    return { error: 'Bundle course not found' };
+  }
+
+  return { ids };
+};
+
+const sendBundleError = (res, error, fallbackMessage) => {
+  if (error?.name === 'ValidationError') {
+    const firstMessage = Object.values(error.errors || {})[0]?.message || fallbackMessage;
+    return res.status(400).json({ message: firstMessage });
+  }
+  return res.status(500).json({ message: 'Server error' });
+};
+
+/**
+ * Bundle with its courses and, for the requesting user, the bundle payment status and
+ * the included courses they already have. Students only see published courses.
+ */
+const buildBundleResponses = async (bundles, user) => {
+  const isAdmin = user.role === 'admin';
+  const courseIds = bundles.flatMap((bundle) => bundle.courseIds);
+
+  const [courses, bundlePayments, coursePayments] = await Promise.all([
+    Course.find({ _id: { $in: courseIds }, ...(isAdmin ? {} : { status: 'published' }) })
+      .select('title price thumbnail status')
+      .lean(),
+    Payment.find({ userId: user._id, bundleId: { $in: bundles.map((bundle) => bundle._id) } })
+      .select('bundleId status')
+      .lean(),
+    Payment.find({ userId: user._id, courseId: { $in: courseIds }, status: 'approved' })
+      .select('courseId')
+      .lean()
+  ]);
+
+  const coursesById = new Map(courses.map((course) => [course._id.toString(), course]));
+  const paymentsByBundle = new Map(bundlePayments.map((payment) => [payment.bundleId.toString(), payment]));
+  const ownedCourseIds = new Set(coursePayments.map((payment) => payment.courseId.toString()));
+
+  return bundles.map((bundle) => {
+    const bundleCourses = bundle.courseIds
+      .map((id) => coursesById.get(id.toString()))
+      .filter(Boolean);
+    const coursesValue = bundleCourses.reduce((sum, course) => sum + (course.price || 0), 0);
+    const payment = paymentsByBundle.get(bundle._id.toString());
+
+    return {
+      ...bundle.toObject(),
+      courses: bundleCourses.map((course) => ({
+        ...course,
+        owned: ownedCourseIds.has(course._id.toString())
+      })),
+      coursesValue,
+      savings: Math.max(0, coursesValue - bundle.price),
+      paymentStatus: payment ? payment.status : 'unpaid'
+    };
+  });
+};
+
+// @route   GET /bundles
+// @desc    List bundles (students: published only; admins: all, optional ?status filter)
+// @access  Private
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const query = {};
+    if (req.userRole === 'admin') {
+      if (Bundle.STATUSES.includes(req.query.status)) query.status = req.query.status;
+    } else {
+      query.status = 'published';
+    }
+
+    const bundles = await Bundle.find(query).sort({ createdAt: -1 });
+    res.json({ bundles: await buildBundleResponses(bundles, req.user) });
+  } catch (error) {
+    console.error('Get bundles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /bundles/:id
+// @desc    Get a bundle with its courses and the user's payment status
+// @access  Private
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Bundle not found' });
+    }
+
+    const bundle = await Bundle.findById(req.params.id);
+    if (!bundle || (req.userRole !== 'admin' && bundle.status !== 'published')) {
+      return res.status(404).json({ message: 'Bundle not found' });
+    }
+
+    const [bundleResponse] = await buildBundleResponses([bundle], req.user);
+    res.json({ bundle: bundleResponse });
+  } catch (error) {
+    console.error('Get bundle error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /bundles
+// @desc    Create a bundle of courses sold at one price
+// @access  Private/Admin
+router.post('/', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const parsedCourses = await parseBundleCourseIds(req.body.courseIds);
+    if (parsedCourses.error) {
+      return res.status(400).json({ message: parsedCourses.error });
+    }
+
+    const bundle = await Bundle.create({
+      title: req.body.title,
+      description: req.body.description,
+      courseIds: parsedCourses.ids,
+      price: req.body.price,
+      status: req.body.status,
+      createdBy: req.user._id
+    });
+
+    await recordAudit(req, {
+      action: 'bundle.create',
+      targetType: 'bundle',
+      targetId: bundle._id,
+      after: toAuditSnapshot(bundle, BUNDLE_FIELDS)
+    });
+
+    res.status(201).json({ bundle });
+  } catch (error) {
+    console.error('Create bundle error:', error);
+    sendBundleError(res, error, 'Invalid bundle data');
+  }
+});
+
+// @route   PUT /bundles/:id
+// @desc    Update a bundle. Pending payments keep the courses they were submitted for.
+// @access  Private/Admin
+router.put('/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Bundle not found' });
+    }
+
+    const bundle = await Bundle.findById(req.params.id);
+    if (!bundle) {
+      return res.status(404).json({ message: 'Bundle not found' });
+    }
+
+    const before = toAuditSnapshot(bundle, BUNDLE_FIELDS);
+    if (req.body.courseIds !== undefined) {
+      const parsedCourses = await parseBundleCourseIds(req.body.courseIds);
+      if (parsedCourses.error) {
+        return res.status(400).json({ message: parsedCourses.error });
+      }
+      bundle.courseIds = parsedCourses.ids;
+    }
+    ['title', 'description', 'price', 'status'].forEach((field) => {
+      if (req.body[field] !== undefined) bundle[field] = req.body[field];
+    });
+    await bundle.save();
+
+    await recordAudit(req, {
+      action: 'bundle.update',
+      targetType: 'bundle',
+      targetId: bundle._id,
+      before,
+      after: toAuditSnapshot(bundle, BUNDLE_FIELDS)
+    });
+
+    res.json({ bundle });
+  } catch (error) {
+    console.error('Update bundle error:', error);
+    sendBundleError(res, error, 'Invalid bundle data');
+  }
+});
+
+// @route   DELETE /bundles/:id
+// @desc    Delete a bundle nobody has paid for (archive it otherwise)
+// @access  Private/Admin
+router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Bundle not found' });
+    }
+
+    const bundle = await Bundle.findById(req.params.id);
+    if (!bundle) {
+      return res.status(404).json({ message: 'Bundle not found' });
+    }
+
+    if (await Payment.exists({ bundleId: bundle._id })) {
+      return res.status(400).json({ message: 'This bundle has payments. Archive it instead.' });
+    }
+
+    await bundle.deleteOne();
+
+    await recordAudit(req, {
+      action: 'bundle.delete',
+      targetType: 'bundle',
+      targetId: bundle._id,
+      before: toAuditSnapshot(bundle, BUNDLE_FIELDS)
+    });
+
+    res.json({ message: 'Bundle removed' });
+  } catch (error) {
+    console.error('Delete bundle error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { Category, Course } = require('../models');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { recordAudit, toAuditSnapshot } = require('../utils/auditLog');
+
+const CATEGORY_FIELDS = ['name', 'slug', 'description', 'sortOrder'];
+
+const slugify = (value = '') =>
+  value
+    .toString()
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+const sendCategoryError = (res, error, fallbackMessage) => {
+  if (error?.code === 11000) {
+    return res.status(409).json({ message: 'A category with this slug already exists' });
+  }
+  if (error?.name === 'ValidationError') {
+    const firstMessage = Object.values(error.errors || {})[0]?.message || fallbackMessage;
+    return res.status(400).json({ message: firstMessage });
+  }
+  return res.status(500).json({ message: 'Server error' });
+};
+
+// @route   GET /categories
+// @desc    List course categories for the catalog, in sidebar order
+// @access  Private
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const categories = await Category.find().sort({ sortOrder: 1, name: 1 });
+    res.json({ categories });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /categories
+// @desc    Create a category (slug defaults to one derived from the name)
+// @access  Private/Admin
+router.post('/', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const name = (req.body.name || '').toString().trim();
+    if (!name) {
+      return res.status(400).json({ message: 'Category name is required' });
+    }
+
+    const category = await Category.create({
+      name,
+      slug: (req.body.slug || '').toString().trim() || slugify(name),
+      description: req.body.description,
+      sortOrder: req.body.sortOrder
+    });
+
+    await recordAudit(req, {
+      action: 'category.create',
+      targetType: 'category',
+      targetId: category._id,
+      after: toAuditSnapshot(category, CATEGORY_FIELDS)
+    });
+
+    res.status(201).json({ category });
+  } catch (error) {
+    console.error('Create category error:', error);
+    sendCategoryError(res, error, 'Invalid category data');
+  }
+});
+
+// @route   PUT /categories/:id
+// @desc    Rename or reorder a category
+// @access  Private/Admin
+router.put('/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const before = toAuditSnapshot(category, CATEGORY_FIELDS);
+    CATEGORY_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) category[field] = req.body[field];
+    });
+    await category.save();
+
+    await recordAudit(req, {
+      action: 'category.update',
+      targetType: 'category',
+      targetId: category._id,
+      before,
+      after: toAuditSnapshot(category, CATEGORY_FIELDS)
+    });
+
+    res.json({ category });
+  } catch (error) {
+    console.error('Update category error:', error);
+    sendCategoryError(res, error, 'Invalid category data');
+  }
+});
+
+// @route   DELETE /categories/:id
+// @desc    Delete a category; its courses become uncategorized
+// @access  Private/Admin
+router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    await category.deleteOne();
+    const { modifiedCount } = await Course.updateMany({ category: category._id }, { $set: { category: null } });
+
+    await recordAudit(req, {
+      action: 'category.delete',
+      targetType: 'category',
+      targetId: category._id,
+      before: toAuditSnapshot(category, CATEGORY_FIELDS),
+      after: { coursesUncategorized: modifiedCount }
+    });
+
+    res.json({ message: 'Category removed', coursesUncategorized: modifiedCount });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { Course, Payment, Progress, Level, User } = require('../models');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { Course, CourseRevision, Bundle, Payment, Progress, Level, User, Category } = require('../models');
+const { authenticate, requireAdmin, requireCourseStaff } = require('../middleware/auth');
 const { uploadQRCode, uploadThumbnail, handleUploadError } = require('../middleware/upload');
 const {
   discardUploadedTempFile,
@@ -9,6 +10,30 @@ const {
   persistUploadedFile,
   removeStoredLocalUpload
 } = require('../utils/mediaStorage');
+const { verifyFreshTwoFactorCode } = require('../utils/twoFactor');
+const { getClientIp } = require('../utils/authThrottle');
+const { recordAudit, toAuditSnapshot } = require('../utils/auditLog');
+const {
+  CATALOG_SORTS,
+  listCatalogCourses,
+  catalogVisibilityFilter,
+  parseCatalogFilters,
+  combineCatalogFilters,
+  getCatalogFacets
+} = require('../utils/courseCatalog');
+const { escapeRegex } = require('../utils/search');
+const {
+  parseCoursePrerequisites,
+  getPrerequisiteStatus,
+  getMissingPrerequisites,
+  isFreeCourseLocked
+} = require('../utils/coursePrerequisites');
+const {
+  isCourseOwner,
+  isCourseManager,
+  manageableCoursesFilter,
+  sendCoursePermissionDenied
+} = require('../utils/coursePermissions');
 
 const YOUTUBE_VIDEO_ID_REGEX = /^[a-zA-Z0-9_-]{11}$/;
 const DRIVE_FILE_ID_REGEX = /^[a-zA-Z0-9_-]{20,}$/;
@@ -102,24 +127,6 @@ const normalizeExternalImageUrl = (rawUrl = '') => {
   return trimmed;
 };
 
-const verifyAdminPassword = async (adminId, adminPassword) => {
-  if (!adminPassword || typeof adminPassword !== 'string') {
-    return { ok: false, status: 400, message: 'Admin password is required to change QR code' };
-  }
-
-  const adminUser = await User.findById(adminId).select('+password');
-  if (!adminUser) {
-    return { ok: false, status: 404, message: 'Admin user not found' };
-  }
-
-  const isPasswordValid = await adminUser.comparePassword(adminPassword);
-  if (!isPasswordValid) {
-    return { ok: false, status: 401, message: 'Invalid admin password' };
-  }
-
-  return { ok: true };
-};
-
 const extractYouTubeVideoId = (value) => {
   const trimmed = value.trim();
 
@@ -262,9 +269,210 @@ const resolvePaymentDefaults = (courseObj = {}) => {
   };
 };
 
+// Payment destination fields stay with admins; instructors never see revenue or payment setup.
+const PAYMENT_CONFIG_FIELDS = ['paymentUpiId', 'paymentReceiverName', 'qrCodeImage'];
+
+// Returns the ids when every one of them is an existing instructor account, otherwise null.
+const resolveInstructorIds = async (rawIds) => {
+  if (!Array.isArray(rawIds)) return null;
+
+  const ids = Array.from(new Set(rawIds.map((id) => id?.toString().trim()).filter(Boolean)));
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) return null;
+
+  const count = await User.countDocuments({ _id: { $in: ids }, role: 'instructor' });
+  return count === ids.length ? ids : null;
+};
+
+/**
+ * Normalize the catalog fields (category, tags, language, difficulty) of a create/update
+ * body. Only fields present in the body are returned. The category may be an id or slug
+ * and must exist; language is validated by the model.
+ */
+const parseCourseTaxonomy = async (body = {}) => {
+  const fields = {};
+
+  if (body.category !== undefined) {
+    const value = (body.category ?? '').toString().trim();
+    if (!value) {
+      fields.category = null;
+    } else {
+      const category = await Category.findOne(
+        mongoose.Types.ObjectId.isValid(value) ? { _id: value } : { slug: value.toLowerCase() }
+      ).select('_id');
+      if (!category) {
+        return { error: 'Category not found' };
+      }
+      fields.category = category._id;
+    }
+  }
+
+  if (body.tags !== undefined) {
+    const rawTags = Array.isArray(body.tags) ? body.tags : (body.tags ?? '').toString().split(',');
+    const tags = Array.from(new Set(
+      rawTags.map((tag) => (tag ?? '').toString().trim().toLowerCase().replace(/\s+/g, ' ')).filter(Boolean)
+    ));
+    if (tags.length > Course.MAX_TAGS) {
+      return { error: `A course can have at most ${Course.MAX_TAGS} tags` };
+    }
+    if (tags.some((tag) => tag.length > 30)) {
+      return { error: 'Tags cannot exceed 30 characters' };
+    }
+    fields.tags = tags;
+  }
+
+  if (body.language !== undefined) {
+    fields.language = (body.language ?? '').toString().trim() || 'en';
+  }
+
+  if (body.difficulty !== undefined) {
+    if (!Course.DIFFICULTIES.includes(body.difficulty)) {
+      return { error: `Difficulty must be one of: ${Course.DIFFICULTIES.join(', ')}` };
+    }
+    fields.difficulty = body.difficulty;
+  }
+
+  return { fields };
+};
+
+/**
+ * Normalize publishAt/archiveAt from a create/update body. `status` is the course status
+ * after the request and `current` the course's existing schedule. Returns only the fields
+ * to write; leaving draft clears a pending publishAt, archiving clears both.
+ */
+const parseCourseSchedule = (body = {}, status, current = {}) => {
+  const fields = {};
+
+  for (const field of ['publishAt', 'archiveAt']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      fields[field] = null;
+      continue;
+    }
+
+    const date = new Date(body[field]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${field} must be a valid date` };
+    }
+    if (date <= new Date()) {
+      return { error: `${field} must be in the future` };
+    }
+    fields[field] = date;
+  }
+
+  if (status !== 'draft') {
+    if (fields.publishAt) {
+      return { error: 'publishAt can only be set on draft courses' };
+    }
+    if (current.publishAt) fields.publishAt = null;
+  }
+
+  if (status === 'archived') {
+    if (fields.archiveAt) {
+      return { error: 'archiveAt cannot be set on archived courses' };
+    }
+    if (current.archiveAt) fields.archiveAt = null;
+  }
+
+  const publishAt = fields.publishAt !== undefined ? fields.publishAt : current.publishAt;
+  const archiveAt = fields.archiveAt !== undefined ? fields.archiveAt : current.archiveAt;
+  if (publishAt && archiveAt && archiveAt <= publishAt) {
+    return { error: 'archiveAt must be after publishAt' };
+  }
+
+  return { fields };
+};
+
+/**
+ * Validate revision edits with the same rules as PUT /courses/:id. Returns the normalized
+ * values of the revisable fields present in the body.
+ */
+const parseRevisionChanges = async (body = {}) => {
+  const changes = {};
+
+  for (const [field, label] of [['title', 'Title'], ['description', 'Description']]) {
+    if (body[field] === undefined) continue;
+    const value = typeof body[field] === 'string' ? body[field].trim() : '';
+    if (!value) {
+      return { error: `${label} cannot be empty` };
+    }
+    changes[field] = value;
+  }
+
+  if (body.price !== undefined) {
+    const numericPrice = Number(body.price);
+    if (Number.isNaN(numericPrice) || numericPrice < 0) {
+      return { error: 'Price must be 0 for free or greater than 0 for paid courses' };
+    }
+    changes.price = numericPrice;
+  }
+
+  if (body.quizEnabled !== undefined) {
+    changes.quizEnabled = Boolean(body.quizEnabled);
+  }
+
+  const parsedYouTube = parseYouTubeEmbedUrl(body.youtubeEmbedUrl);
+  if (parsedYouTube.error) {
+    return { error: parsedYouTube.error };
+  }
+  if (parsedYouTube.hasValue) {
+    changes.youtubeEmbedUrl = parsedYouTube.url;
+  }
+
+  const taxonomy = await parseCourseTaxonomy(body);
+  if (taxonomy.error) {
+    return { error: taxonomy.error };
+  }
+  Object.assign(changes, taxonomy.fields);
+
+  return { changes };
+};
+
+// Comparable form of a course field value (ObjectIds and dates compare as strings).
+const serializeFieldValue = (value) => JSON.stringify(value ?? null);
+
+// Edited fields whose live value changed after the revision started editing them.
+const findRevisionConflicts = (revision, course) =>
+  Object.keys(revision.changes || {}).filter((field) =>
+    serializeFieldValue(revision.base?.[field]) !== serializeFieldValue(course[field])
+  );
+
+// The live course with the revision's changes applied (not saved).
+const buildRevisionPreview = (revision, course) => ({
+  ...course.toObject(),
+  ...revision.changes
+});
+
+// Load a course and one of its revisions for the revision routes.
+const loadCourseRevision = async ({ user, courseId, revisionId }) => {
+  if (!mongoose.Types.ObjectId.isValid(courseId) || !mongoose.Types.ObjectId.isValid(revisionId)) {
+    return { ok: false, status: 404, message: 'Revision not found' };
+  }
+
+  const course = await Course.findById(courseId);
+  if (!course) {
+    return { ok: false, status: 404, message: 'Course not found' };
+  }
+  if (!isCourseManager(user, course)) {
+    return { ok: false, forbidden: true };
+  }
+
+  const revision = await CourseRevision.findOne({ _id: revisionId, courseId: course._id });
+  if (!revision) {
+    return { ok: false, status: 404, message: 'Revision not found' };
+  }
+
+  return { ok: true, course, revision };
+};
+
+const sendRevisionLoadError = (res, result) =>
+  result.forbidden
+    ? sendCoursePermissionDenied(res)
+    : res.status(result.status).json({ message: result.message });
 
 // @route   GET /courses
-// @desc    Get all courses with optional filtering
+// @desc    Get courses, paginated (page, limit) and sorted (sort=newest|oldest|price_asc|
+//          price_desc|popular), with optional filtering (search, status, category, tag,
+//          language, difficulty, price=free|paid) plus facet counts for the filters
 // @access  Private (returns access info per user)
 router.get('/', authenticate, async (req, res) => {
   try {
@@ -274,52 +482,80 @@ router.get('/', authenticate, async (req, res) => {
     const query = {};
 
     const isAdmin = req.userRole === 'admin';
+    const isInstructor = req.userRole === 'instructor';
     const allowedStatuses = new Set(['draft', 'published', 'archived']);
+    const hasStatusFilter = Boolean(status && allowedStatuses.has(status));
 
     // Students can only see published courses. Admins can filter by status.
-    if (!isAdmin) {
-      query.status = 'published';
-    } else if (status && allowedStatuses.has(status)) {
-      query.status = status;
+    // Instructors see the published catalog plus their own courses; `mine=true`
+    // or a status filter narrows the list to courses they manage.
+    if (isAdmin) {
+      if (hasStatusFilter) query.status = status;
+    } else if (isInstructor && (req.query.mine === 'true' || hasStatusFilter)) {
+      Object.assign(query, manageableCoursesFilter(req.user));
+      if (hasStatusFilter) query.status = status;
+    } else {
+      Object.assign(query, catalogVisibilityFilter(req.user));
     }
     
+    // Substring match on the title for type-ahead; ranked search lives in GET /search.
     if (search) {
-      query.title = { $regex: search, $options: 'i' };
+      query.title = { $regex: escapeRegex(search), $options: 'i' };
     }
 
-    const [courses, payments, progresses] = await Promise.all([
-      Course.find(query).sort({ createdAt: -1 }),
-      Payment.find({ userId: req.user._id }),
-      Progress.find({ userId: req.user._id })
+    const sort = CATALOG_SORTS[req.query.sort] ? req.query.sort : 'newest';
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit, 10) || 20));
+
+    const catalogFilters = await parseCatalogFilters(req.query);
+
+    const [{ courses, total }, facets] = await Promise.all([
+      listCatalogCourses({
+        match: combineCatalogFilters(query, catalogFilters),
+        userId: req.user._id,
+        sort,
+        skip: (page - 1) * limit,
+        limit
+      }),
+      getCatalogFacets(query, catalogFilters)
     ]);
 
     // Map additional access + progress fields for UI
-    const coursesWithAccess = await Promise.all(
-      courses.map(async (course) => {
-        const courseObj = course.toObject();
-        const payment = payments.find(p => p.courseId.toString() === course._id.toString());
-        const progress = progresses.find(p => p.courseId.toString() === course._id.toString());
-        const totalLevels = course.totalLevels || await Level.countDocuments({ courseId: course._id });
-
-        const isFree = course.price === 0;
-        const hasAccess = req.userRole === 'admin' ||
-          isFree ||
-          (payment && payment.status === 'approved');
-
-        return {
-          ...resolvePaymentDefaults(courseObj),
-          // Only return the YouTube embed URL after the course is unlocked.
-          // This keeps it hidden for unpaid users (UI also gates it).
-          youtubeEmbedUrl: hasAccess ? courseObj.youtubeEmbedUrl : null,
-          totalLevels,
-          paymentStatus: payment ? payment.status : (isFree ? 'free' : 'unpaid'),
-          hasAccess,
-          progress: progress ? progress.totalProgress : 0
-        };
-      })
-    );
+    const coursesWithAccess = courses.map((row) => {
+      const { levelCount, enrollmentCount, userPayment, userProgress, categoryInfo, ...rawCourse } = row;
+      // Hydrate so the response keeps schema defaults for older documents.
+      const courseObj = Course.hydrate(rawCourse).toObject();
+
+      const isFree = courseObj.price === 0;
+      const canManage = isCourseManager(req.user, courseObj);
+      const hasAccess = canManage ||
+        isFree ||
+        (userPayment && userPayment.status === 'approved');
+
+      return {
+        ...resolvePaymentDefaults(courseObj),
+        category: categoryInfo,
+        // Only return the YouTube embed URL after the course is unlocked.
+        // This keeps it hidden for unpaid users (UI also gates it).
+        youtubeEmbedUrl: hasAccess ? courseObj.youtubeEmbedUrl : null,
+        totalLevels: levelCount,
+        enrollmentCount,
+        paymentStatus: userPayment ? userPayment.status : (isFree ? 'free' : 'unpaid'),
+        hasAccess,
+        canManage,
+        progress: userProgress ? userProgress.totalProgress : 0
+      };
+    });
 
-    res.json({ courses: coursesWithAccess });
+    res.json({
+      courses: coursesWithAccess,
+      facets,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+      sort
+    });
   } catch (error) {
     console.error('Get courses error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -327,34 +563,40 @@ router.get('/', authenticate, async (req, res) => {
 });
 
 // @route   GET /courses/:id
-// @desc    Get course by ID
+// @desc    Get course by ID, with its prerequisites and the user's status in each
 // @access  Private (returns access info for requesting user)
 router.get('/:id', authenticate, async (req, res) => {
   try {
-    const course = await Course.findById(req.params.id);
+    const course = await Course.findById(req.params.id).populate('category', 'name slug');
     if (!course) {
       return res.status(404).json({ message: 'Course not found' });
     }
 
+    const canManage = isCourseManager(req.user, course);
+
     // Students should not be able to fetch draft/archived courses by ID.
-    if (req.userRole !== 'admin' && course.status !== 'published') {
+    if (!canManage && course.status !== 'published') {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    const [levels, payment, progress] = await Promise.all([
+    const [levels, payment, progress, prerequisites] = await Promise.all([
       Level.find({ courseId: course._id }).sort({ levelNumber: 1 }),
       Payment.findOne({ userId: req.user._id, courseId: course._id }),
-      Progress.findOne({ userId: req.user._id, courseId: course._id })
+      Progress.findOne({ userId: req.user._id, courseId: course._id }),
+      getPrerequisiteStatus(course, req.user._id)
     ]);
 
     const isFree = course.price === 0;
-    const hasAccess = req.userRole === 'admin' ||
-      isFree ||
+    const lockedByPrerequisites = isFree && !canManage && !progress &&
+      await isFreeCourseLocked(course, req.user._id, prerequisites);
+    const hasAccess = canManage ||
+      (isFree && !lockedByPrerequisites) ||
       (payment && payment.status === 'approved');
 
     // Auto-create progress for students when they have access (free or approved payment).
+    // Not while an admin views as the student: that would enroll them.
     let ensuredProgress = progress;
-    if (hasAccess && !progress && req.userRole !== 'admin') {
+    if (hasAccess && !progress && !canManage && !req.impersonator) {
       ensuredProgress = await Progress.create({
         userId: req.user._id,
         courseId: course._id,
@@ -364,7 +606,7 @@ router.get('/:id', authenticate, async (req, res) => {
     }
 
     const unlockedLevelNumber =
-      req.userRole === 'admin'
+      canManage
         ? Number.MAX_SAFE_INTEGER
         : hasAccess
           ? (ensuredProgress?.currentLevel || 1)
@@ -383,8 +625,11 @@ router.get('/:id', authenticate, async (req, res) => {
       // Only return YouTube embed URL after unlock (paid/free/admin).
       youtubeEmbedUrl: hasAccess ? course.youtubeEmbedUrl : null,
       levels: safeLevels,
+      prerequisites,
+      prerequisitesMet: !getMissingPrerequisites(prerequisites).length,
       paymentStatus: payment ? payment.status : (isFree ? 'free' : 'unpaid'),
       hasAccess,
+      canManage,
       userProgress: ensuredProgress || null
     };
 
@@ -399,9 +644,10 @@ router.get('/:id', authenticate, async (req, res) => {
 });
 
 // @route   POST /courses
-// @desc    Create new course
-// @access  Private/Admin
-router.post('/', authenticate, requireAdmin, async (req, res) => {
+// @desc    Create new course (optionally scheduled with publishAt/archiveAt).
+//          Students are emailed when the course is first published.
+// @access  Private/Admin or Instructor (instructors become the owner)
+router.post('/', authenticate, requireCourseStaff, async (req, res) => {
   try {
     const {
       title,
@@ -411,8 +657,10 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
       status,
       youtubeEmbedUrl,
       paymentUpiId,
-      paymentReceiverName
+      paymentReceiverName,
+      ownerId
     } = req.body;
+    const isInstructor = req.userRole === 'instructor';
 
     const safeTitle = typeof title === 'string' ? title.trim() : '';
     const safeDescription = typeof description === 'string' ? description.trim() : '';
@@ -430,20 +678,47 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
       return res.status(400).json({ message: parsedYouTube.error });
     }
 
-    const parsedUpiConfig = parsePaymentUpiConfig({ paymentUpiId, paymentReceiverName });
+    // Instructors cannot choose where payments go; their courses use the default UPI settings.
+    const parsedUpiConfig = isInstructor
+      ? {}
+      : parsePaymentUpiConfig({ paymentUpiId, paymentReceiverName });
     if (parsedUpiConfig.error) {
       return res.status(400).json({ message: parsedUpiConfig.error });
     }
 
+    let resolvedOwnerId = isInstructor ? req.user._id : null;
+    if (!isInstructor && ownerId) {
+      const ownerIds = await resolveInstructorIds([ownerId]);
+      if (!ownerIds) {
+        return res.status(400).json({ message: 'Course owner must be an instructor account' });
+      }
+      resolvedOwnerId = ownerIds[0];
+    }
+
     if (!parsedUpiConfig.paymentUpiId && parsedUpiConfig.paymentReceiverName) {
       return res.status(400).json({ message: 'UPI ID is required when receiver name is provided' });
     }
 
     const resolvedPaymentUpiId = parsedUpiConfig.paymentUpiId || DEFAULT_UPI_ID;
 
+    const taxonomy = await parseCourseTaxonomy(req.body);
+    if (taxonomy.error) {
+      return res.status(400).json({ message: taxonomy.error });
+    }
+
     const allowedStatuses = ['draft', 'published', 'archived'];
     const safeStatus = allowedStatuses.includes(status) ? status : 'draft';
 
+    const schedule = parseCourseSchedule(req.body, safeStatus);
+    if (schedule.error) {
+      return res.status(400).json({ message: schedule.error });
+    }
+
+    const prerequisites = await parseCoursePrerequisites(req.body);
+    if (prerequisites.error) {
+      return res.status(400).json({ message: prerequisites.error });
+    }
+
     const course = await Course.create({
       title: safeTitle,
       description: safeDescription,
@@ -452,9 +727,20 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
       youtubeEmbedUrl: parsedYouTube.hasValue ? parsedYouTube.url : null,
       paymentUpiId: resolvedPaymentUpiId,
       paymentReceiverName: parsedUpiConfig.paymentReceiverName || null,
+      ownerId: resolvedOwnerId,
+      ...taxonomy.fields,
+      ...schedule.fields,
+      ...prerequisites.fields,
       status: safeStatus // Default to draft unless explicitly provided
     });
 
+    await recordAudit(req, {
+      action: 'course.create',
+      targetType: 'course',
+      targetId: course._id,
+      after: toAuditSnapshot(course)
+    });
+
     res.status(201).json(course);
   } catch (error) {
     console.error('Create course error:', error);
@@ -467,13 +753,31 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
 });
 
 // @route   PUT /courses/:id
-// @desc    Update course
-// @access  Private/Admin
-router.put('/:id', authenticate, requireAdmin, async (req, res) => {
+// @desc    Update course in place, including status and the publishAt/archiveAt schedule.
+//          Use /courses/:id/revisions to prepare edits to a published course.
+// @access  Private/Admin or Instructor (own courses)
+router.put('/:id', authenticate, requireCourseStaff, async (req, res) => {
   try {
+    const existingCourse = await Course.findById(req.params.id);
+    if (!existingCourse) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (!isCourseManager(req.user, existingCourse)) {
+      return sendCoursePermissionDenied(res);
+    }
+
     const updates = { ...req.body };
     let existingCourseForValidation = null;
 
+    // Ownership changes go through PUT /courses/:id/instructors and the QR image through
+    // the 2FA-protected QR routes, never through a plain course update.
+    delete updates.ownerId;
+    delete updates.collaborators;
+    delete updates.qrCodeImage;
+    if (req.userRole === 'instructor') {
+      PAYMENT_CONFIG_FIELDS.forEach((field) => delete updates[field]);
+    }
+
     const parsedYouTube = parseYouTubeEmbedUrl(updates.youtubeEmbedUrl);
     if (parsedYouTube.error) {
       return res.status(400).json({ message: parsedYouTube.error });
@@ -497,6 +801,30 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
       }
     }
 
+    const taxonomy = await parseCourseTaxonomy(updates);
+    if (taxonomy.error) {
+      return res.status(400).json({ message: taxonomy.error });
+    }
+    Object.assign(updates, taxonomy.fields);
+
+    const schedule = parseCourseSchedule(updates, updates.status || existingCourse.status, existingCourse);
+    if (schedule.error) {
+      return res.status(400).json({ message: schedule.error });
+    }
+    Object.assign(updates, schedule.fields);
+    // Set by the model when the course first goes live
+    delete updates.publishedAt;
+    // Cached level stats are written only by the Level hooks and syncLevelStats
+    delete updates.totalLevels;
+    delete updates.publishedLevels;
+    delete updates.totalDuration;
+
+    const prerequisites = await parseCoursePrerequisites(updates, existingCourse._id);
+    if (prerequisites.error) {
+      return res.status(400).json({ message: prerequisites.error });
+    }
+    Object.assign(updates, prerequisites.fields);
+
     const parsedUpiConfig = parsePaymentUpiConfig({
       paymentUpiId: updates.paymentUpiId,
       paymentReceiverName: updates.paymentReceiverName
@@ -524,10 +852,7 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
         ? parsedUpiConfig.paymentUpiId
         : null;
       if (!upiIdFromPayload) {
-        existingCourseForValidation = await Course.findById(req.params.id).select('paymentUpiId');
-        if (!existingCourseForValidation) {
-          return res.status(404).json({ message: 'Course not found' });
-        }
+        existingCourseForValidation = existingCourse;
         if (!existingCourseForValidation.paymentUpiId) {
           return res.status(400).json({ message: 'UPI ID is required when receiver name is provided' });
         }
@@ -544,31 +869,59 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
       return res.status(404).json({ message: 'Course not found' });
     }
 
+    const changedFields = Object.keys(updates);
+    await recordAudit(req, {
+      action: 'course.update',
+      targetType: 'course',
+      targetId: course._id,
+      before: toAuditSnapshot(existingCourse, changedFields),
+      after: toAuditSnapshot(course, changedFields)
+    });
+
     res.json(course);
   } catch (error) {
     console.error('Update course error:', error);
+    if (error?.name === 'ValidationError') {
+      const firstMessage = Object.values(error.errors || {})[0]?.message || 'Invalid course data';
+      return res.status(400).json({ message: firstMessage });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // @route   DELETE /courses/:id
 // @desc    Delete course
-// @access  Private/Admin
-router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+// @access  Private/Admin or owning Instructor
+router.delete('/:id', authenticate, requireCourseStaff, async (req, res) => {
   try {
     const course = await Course.findById(req.params.id);
     if (!course) {
       return res.status(404).json({ message: 'Course not found' });
     }
 
+    // Collaborators can edit content but only the owner (or an admin) can delete the course.
+    if (!isCourseOwner(req.user, course)) {
+      return sendCoursePermissionDenied(res);
+    }
+
     const oldQrCodePath = course.qrCodeImage;
     const oldThumbnailPath = course.thumbnail;
     await course.deleteOne();
+    await CourseRevision.deleteMany({ courseId: course._id });
+    await Course.updateMany({ prerequisites: course._id }, { $pull: { prerequisites: course._id } });
+    await Bundle.updateMany({ courseIds: course._id }, { $pull: { courseIds: course._id } });
     await Promise.all([
       removeStoredLocalUpload(oldQrCodePath),
       removeStoredLocalUpload(oldThumbnailPath)
     ]);
 
+    await recordAudit(req, {
+      action: 'course.delete',
+      targetType: 'course',
+      targetId: course._id,
+      before: toAuditSnapshot(course)
+    });
+
     res.json({ message: 'Course removed' });
   } catch (error) {
     console.error('Delete course error:', error);
@@ -597,10 +950,10 @@ router.post('/:id/qr-code',
         return res.status(404).json({ message: 'Course not found' });
       }
 
-      const passwordCheck = await verifyAdminPassword(req.user._id, req.body?.adminPassword);
-      if (!passwordCheck.ok) {
+      const totpCheck = await verifyFreshTwoFactorCode(req.user._id, req.body?.totpCode, { ipAddress: getClientIp(req) });
+      if (!totpCheck.ok) {
         await discardUploadedTempFile(req.file);
-        return res.status(passwordCheck.status).json({ message: passwordCheck.message });
+        return res.status(totpCheck.status).json({ message: totpCheck.message, code: totpCheck.code });
       }
 
       const localQrCodePath = `/uploads/qr-codes/${req.file.filename}`;
@@ -617,6 +970,14 @@ router.post('/:id/qr-code',
       await course.save();
       await removeStoredLocalUpload(oldQrCodePath);
 
+      await recordAudit(req, {
+        action: 'course.qr_code_update',
+        targetType: 'course',
+        targetId: course._id,
+        before: { qrCodeImage: oldQrCodePath || null },
+        after: { qrCodeImage: course.qrCodeImage }
+      });
+
       res.json(course);
     } catch (error) {
       if (req.file && !uploadPersisted) {
@@ -641,9 +1002,9 @@ router.put('/:id/qr-code-link',
         return res.status(404).json({ message: 'Course not found' });
       }
 
-      const passwordCheck = await verifyAdminPassword(req.user._id, req.body?.adminPassword);
-      if (!passwordCheck.ok) {
-        return res.status(passwordCheck.status).json({ message: passwordCheck.message });
+      const totpCheck = await verifyFreshTwoFactorCode(req.user._id, req.body?.totpCode, { ipAddress: getClientIp(req) });
+      if (!totpCheck.ok) {
+        return res.status(totpCheck.status).json({ message: totpCheck.message, code: totpCheck.code });
       }
 
       const rawUrl = typeof req.body?.url === 'string' ? req.body.url.trim() : '';
@@ -676,6 +1037,14 @@ router.put('/:id/qr-code-link',
         await removeStoredLocalUpload(oldQrCodePath);
       }
 
+      await recordAudit(req, {
+        action: 'course.qr_code_update',
+        targetType: 'course',
+        targetId: course._id,
+        before: { qrCodeImage: oldQrCodePath || null },
+        after: { qrCodeImage: course.qrCodeImage }
+      });
+
       res.json(course);
     } catch (error) {
       console.error('Set QR code link error:', error);
@@ -684,12 +1053,80 @@ router.put('/:id/qr-code-link',
   }
 );
 
+// @route   PUT /courses/:id/instructors
+// @desc    Set course collaborators (owner/admin) and transfer ownership (admin only)
+// @access  Private/Admin or owning Instructor
+router.put('/:id/instructors', authenticate, requireCourseStaff, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!isCourseOwner(req.user, course)) {
+      return sendCoursePermissionDenied(res);
+    }
+
+    const { ownerId, collaborators } = req.body;
+    const before = toAuditSnapshot(course, ['ownerId', 'collaborators']);
+
+    if (ownerId !== undefined) {
+      if (req.userRole !== 'admin') {
+        return res.status(403).json({ message: 'Only admins can transfer course ownership' });
+      }
+
+      if (ownerId === null || ownerId === '') {
+        course.ownerId = null;
+      } else {
+        const ownerIds = await resolveInstructorIds([ownerId]);
+        if (!ownerIds) {
+          return res.status(400).json({ message: 'Course owner must be an instructor account' });
+        }
+        course.ownerId = ownerIds[0];
+      }
+    }
+
+    if (collaborators !== undefined) {
+      const collaboratorIds = await resolveInstructorIds(collaborators);
+      if (!collaboratorIds) {
+        return res.status(400).json({ message: 'Collaborators must be a list of instructor accounts' });
+      }
+      course.collaborators = collaboratorIds;
+    }
+
+    // The owner is never listed as their own collaborator.
+    if (course.ownerId) {
+      course.collaborators = course.collaborators.filter((id) => id.toString() !== course.ownerId.toString());
+    }
+
+    await course.save();
+
+    await recordAudit(req, {
+      action: 'course.instructors_update',
+      targetType: 'course',
+      targetId: course._id,
+      before,
+      after: toAuditSnapshot(course, ['ownerId', 'collaborators'])
+    });
+
+    await course.populate([
+      { path: 'ownerId', select: 'name email' },
+      { path: 'collaborators', select: 'name email' }
+    ]);
+
+    res.json(course);
+  } catch (error) {
+    console.error('Update course instructors error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /courses/:id/thumbnail
 // @desc    Upload course thumbnail
-// @access  Private/Admin
+// @access  Private/Admin or Instructor (own courses)
 router.post('/:id/thumbnail', 
   authenticate, 
-  requireAdmin, 
+  requireCourseStaff, 
   uploadThumbnail.single('thumbnail'),
   handleUploadError,
   async (req, res) => {
@@ -705,6 +1142,11 @@ router.post('/:id/thumbnail',
         return res.status(404).json({ message: 'Course not found' });
       }
 
+      if (!isCourseManager(req.user, course)) {
+        await discardUploadedTempFile(req.file);
+        return sendCoursePermissionDenied(res);
+      }
+
       const localThumbnailPath = `/uploads/thumbnails/${req.file.filename}`;
       const persistedThumbnail = await persistUploadedFile({
         file: req.file,
@@ -719,6 +1161,14 @@ router.post('/:id/thumbnail',
       await course.save();
       await removeStoredLocalUpload(oldThumbnailPath);
 
+      await recordAudit(req, {
+        action: 'course.thumbnail_update',
+        targetType: 'course',
+        targetId: course._id,
+        before: { thumbnail: oldThumbnailPath || null },
+        after: { thumbnail: course.thumbnail }
+      });
+
       res.json(course);
     } catch (error) {
       if (req.file && !uploadPersisted) {
@@ -730,4 +1180,306 @@ router.post('/:id/thumbnail',
   }
 );
 
+// @route   GET /courses/:id/revisions
+// @desc    List revisions of a course, newest first
+// @access  Private/Admin or Instructor (own courses)
+router.get('/:id/revisions', authenticate, requireCourseStaff, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (!isCourseManager(req.user, course)) {
+      return sendCoursePermissionDenied(res);
+    }
+
+    const revisions = await CourseRevision.find({ courseId: course._id })
+      .populate('createdBy', 'name email')
+      .populate('promotedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({ revisions });
+  } catch (error) {
+    console.error('Get course revisions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /courses/:id/revisions
+// @desc    Start a draft revision of a published course, optionally with initial edits
+//          (title, description, price, quizEnabled, youtubeEmbedUrl, category, tags,
+//          language, difficulty) and a note. One open draft per course.
+// @access  Private/Admin or Instructor (own courses)
+router.post('/:id/revisions', authenticate, requireCourseStaff, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    if (!isCourseManager(req.user, course)) {
+      return sendCoursePermissionDenied(res);
+    }
+    if (course.status !== 'published') {
+      return res.status(400).json({ message: 'Only published courses use revisions. Edit the course directly.' });
+    }
+
+    const parsed = await parseRevisionChanges(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const revision = new CourseRevision({
+      courseId: course._id,
+      note: req.body.note,
+      changes: parsed.changes,
+      base: toAuditSnapshot(course, Object.keys(parsed.changes)),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+    await new Course(buildRevisionPreview(revision, course)).validate(Object.keys(parsed.changes));
+    await revision.save();
+
+    await recordAudit(req, {
+      action: 'course.revision_create',
+      targetType: 'course',
+      targetId: course._id,
+      after: { revisionId: revision._id, changes: revision.changes }
+    });
+
+    res.status(201).json({ revision, preview: buildRevisionPreview(revision, course) });
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(409).json({
+        message: 'This course already has a draft revision',
+        code: 'REVISION_EXISTS'
+      });
+    }
+    if (error?.name === 'ValidationError') {
+      const firstMessage = Object.values(error.errors || {})[0]?.message || 'Invalid revision data';
+      return res.status(400).json({ message: firstMessage });
+    }
+    console.error('Create course revision error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /courses/:id/revisions/:revisionId
+// @desc    Get a revision with a preview of the course after promotion and any conflicting fields
+// @access  Private/Admin or Instructor (own courses)
+router.get('/:id/revisions/:revisionId', authenticate, requireCourseStaff, async (req, res) => {
+  try {
+    const result = await loadCourseRevision({
+      user: req.user,
+      courseId: req.params.id,
+      revisionId: req.params.revisionId
+    });
+    if (!result.ok) {
+      return sendRevisionLoadError(res, result);
+    }
+
+    const { course, revision } = result;
+    res.json({
+      revision,
+      preview: buildRevisionPreview(revision, course),
+      conflicts: revision.status === 'draft' ? findRevisionConflicts(revision, course) : []
+    });
+  } catch (error) {
+    console.error('Get course revision error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /courses/:id/revisions/:revisionId
+// @desc    Edit a draft revision. Fields in the body are merged into its changes;
+//          `revert` lists fields to drop from the revision.
+// @access  Private/Admin or Instructor (own courses)
+router.put('/:id/revisions/:revisionId', authenticate, requireCourseStaff, async (req, res) => {
+  try {
+    const result = await loadCourseRevision({
+      user: req.user,
+      courseId: req.params.id,
+      revisionId: req.params.revisionId
+    });
+    if (!result.ok) {
+      return sendRevisionLoadError(res, result);
+    }
+
+    const { course, revision } = result;
+    if (revision.status !== 'draft') {
+      return res.status(400).json({ message: `Revision is already ${revision.status}` });
+    }
+
+    const parsed = await parseRevisionChanges(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const changes = { ...revision.changes, ...parsed.changes };
+    const base = { ...revision.base };
+    // The base of a field is taken when it is first edited, so later live edits show up as conflicts.
+    Object.keys(parsed.changes).forEach((field) => {
+      if (!(field in base)) base[field] = toAuditSnapshot(course, [field])[field] ?? null;
+    });
+
+    const reverted = Array.isArray(req.body.revert) ? req.body.revert : [];
+    reverted.forEach((field) => {
+      delete changes[field];
+      delete base[field];
+    });
+
+    revision.changes = changes;
+    revision.base = base;
+    if (req.body.note !== undefined) revision.note = req.body.note;
+    revision.updatedBy = req.user._id;
+
+    await new Course(buildRevisionPreview(revision, course)).validate(Object.keys(changes));
+    await revision.save();
+
+    await recordAudit(req, {
+      action: 'course.revision_update',
+      targetType: 'course',
+      targetId: course._id,
+      after: { revisionId: revision._id, changes: revision.changes }
+    });
+
+    res.json({
+      revision,
+      preview: buildRevisionPreview(revision, course),
+      conflicts: findRevisionConflicts(revision, course)
+    });
+  } catch (error) {
+    if (error?.name === 'ValidationError') {
+      const firstMessage = Object.values(error.errors || {})[0]?.message || 'Invalid revision data';
+      return res.status(400).json({ message: firstMessage });
+    }
+    console.error('Update course revision error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /courses/:id/revisions/:revisionId/promote
+// @desc    Apply a draft revision to the live course in one write. Refuses (409) when the
+//          live course changed a revised field since it was edited, unless `force` is true.
+// @access  Private/Admin or Instructor (own courses)
+router.post('/:id/revisions/:revisionId/promote', authenticate, requireCourseStaff, async (req, res) => {
+  try {
+    const result = await loadCourseRevision({
+      user: req.user,
+      courseId: req.params.id,
+      revisionId: req.params.revisionId
+    });
+    if (!result.ok) {
+      return sendRevisionLoadError(res, result);
+    }
+
+    const { course, revision } = result;
+    if (revision.status !== 'draft') {
+      return res.status(400).json({ message: `Revision is already ${revision.status}` });
+    }
+
+    const changedFields = Object.keys(revision.changes || {});
+    if (!changedFields.length) {
+      return res.status(400).json({ message: 'Revision has no changes' });
+    }
+
+    const conflicts = findRevisionConflicts(revision, course);
+    if (conflicts.length && req.body.force !== true) {
+      return res.status(409).json({
+        message: 'The live course changed after these fields were revised',
+        code: 'REVISION_CONFLICT',
+        conflicts
+      });
+    }
+
+    // Claim the revision first so two promotions of the same draft cannot both apply.
+    const claimed = await CourseRevision.findOneAndUpdate(
+      { _id: revision._id, status: 'draft' },
+      { $set: { status: 'promoted', promotedBy: req.user._id, promotedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({ message: 'Revision is no longer a draft', code: 'REVISION_CONFLICT' });
+    }
+
+    let promotedCourse = null;
+    try {
+      // Guarded on updatedAt: a course edited between the conflict check and this write is not overwritten.
+      promotedCourse = await Course.findOneAndUpdate(
+        { _id: course._id, updatedAt: course.updatedAt },
+        { $set: revision.changes },
+        { new: true, runValidators: true }
+      );
+    } finally {
+      if (!promotedCourse) {
+        await CourseRevision.updateOne(
+          { _id: revision._id },
+          { $set: { status: 'draft', promotedBy: null, promotedAt: null } }
+        );
+      }
+    }
+
+    if (!promotedCourse) {
+      return res.status(409).json({
+        message: 'The course changed while promoting. Please try again.',
+        code: 'REVISION_CONFLICT'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'course.revision_promote',
+      targetType: 'course',
+      targetId: course._id,
+      before: toAuditSnapshot(course, changedFields),
+      after: { ...toAuditSnapshot(promotedCourse, changedFields), revisionId: revision._id }
+    });
+
+    res.json({ course: promotedCourse, revision: claimed });
+  } catch (error) {
+    if (error?.name === 'ValidationError') {
+      const firstMessage = Object.values(error.errors || {})[0]?.message || 'Invalid revision data';
+      return res.status(400).json({ message: firstMessage });
+    }
+    console.error('Promote course revision error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /courses/:id/revisions/:revisionId
+// @desc    Discard a draft revision (kept in the history as discarded)
+// @access  Private/Admin or Instructor (own courses)
+router.delete('/:id/revisions/:revisionId', authenticate, requireCourseStaff, async (req, res) => {
+  try {
+    const result = await loadCourseRevision({
+      user: req.user,
+      courseId: req.params.id,
+      revisionId: req.params.revisionId
+    });
+    if (!result.ok) {
+      return sendRevisionLoadError(res, result);
+    }
+
+    const { course, revision } = result;
+    if (revision.status !== 'draft') {
+      return res.status(400).json({ message: `Revision is already ${revision.status}` });
+    }
+
+    revision.status = 'discarded';
+    revision.discardedBy = req.user._id;
+    revision.discardedAt = new Date();
+    await revision.save();
+
+    await recordAudit(req, {
+      action: 'course.revision_discard',
+      targetType: 'course',
+      targetId: course._id,
+      after: { revisionId: revision._id }
+    });
+
+    res.json({ message: 'Revision discarded', revision });
+  } catch (error) {
+    console.error('Discard course revision error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -3,8 +3,9 @@ const router = express.Router();
 const fs = require('fs');
 const path = require('path');
 const { Readable } = require('stream');
+const mongoose = require('mongoose');
 const { Level, Payment, Progress, Course } = require('../models');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const { authenticate, requireCourseStaff, authenticateSignedStream } = require('../middleware/auth');
 const { uploadVideo, handleUploadError } = require('../middleware/upload');
 const {
   discardUploadedTempFile,
@@ -12,6 +13,14 @@ const {
   persistUploadedFile,
   removeStoredLocalUpload
 } = require('../utils/mediaStorage');
+const { createStreamUrl } = require('../utils/streamUrls');
+const {
+  isCourseManager,
+  canManageCourseById,
+  sendCoursePermissionDenied
+} = require('../utils/coursePermissions');
+const { recordAudit, toAuditSnapshot } = require('../utils/auditLog');
+const { isFreeCourseLocked } = require('../utils/coursePrerequisites');
 
 const DRIVE_FILE_ID_REGEX = /^[a-zA-Z0-9_-]{20,}$/;
 
@@ -175,6 +184,60 @@ const proxyRemoteVideo = async (remoteUrl, req, res) => {
   }
 };
 
+// Same checks for issuing a stream URL and for streaming, so URLs are only handed out when playback is allowed.
+const checkStreamAccess = async ({ user, level }) => {
+  if (!level || !level.videoPath || level.videoPath === 'pending') {
+    return { ok: false, status: 404, message: 'Video not uploaded yet' };
+  }
+
+  const course = await Course.findById(level.courseId);
+  if (!course) {
+    return { ok: false, status: 404, message: 'Course not found' };
+  }
+
+  const canManage = isCourseManager(user, course);
+
+  if (!canManage && course.status !== 'published') {
+    return { ok: false, status: 404, message: 'Course not found' };
+  }
+
+  // Admins (and the course's instructors) can stream any level.
+  if (canManage) {
+    return { ok: true, course, progress: null };
+  }
+
+  if (course.price !== 0) {
+    const approvedPayment = await Payment.findOne({
+      userId: user._id,
+      courseId: course._id,
+      status: 'approved'
+    });
+    if (!approvedPayment) {
+      return { ok: false, status: 403, message: 'Course locked until payment is approved' };
+    }
+  } else if (await isFreeCourseLocked(course, user._id)) {
+    return { ok: false, status: 403, message: 'Complete the required prerequisite courses first' };
+  }
+
+  // Ensure sequential access for students. Impersonators never get here: stream URLs are
+  // refused to them, so this may enroll the student.
+  let progress = await Progress.findOne({ userId: user._id, courseId: course._id });
+  if (!progress) {
+    progress = await Progress.create({
+      userId: user._id,
+      courseId: course._id,
+      completedLevels: [],
+      currentLevel: 1
+    });
+  }
+
+  if (level.levelNumber > (progress.currentLevel || 1)) {
+    return { ok: false, status: 403, message: 'You must complete previous levels first' };
+  }
+
+  return { ok: true, course, progress };
+};
+
 // @route   GET /levels/course/:courseId
 // @desc    Get all levels for a course with lock info for the current user
 // @access  Private
@@ -185,8 +248,10 @@ router.get('/course/:courseId', authenticate, async (req, res) => {
       return res.status(404).json({ message: 'Course not found' });
     }
 
+    const canManage = isCourseManager(req.user, course);
+
     // Students should not see levels for draft/archived courses.
-    if (req.userRole !== 'admin' && course.status !== 'published') {
+    if (!canManage && course.status !== 'published') {
       return res.status(404).json({ message: 'Course not found' });
     }
 
@@ -197,12 +262,12 @@ router.get('/course/:courseId', authenticate, async (req, res) => {
     ]);
 
     const isFree = course.price === 0;
-    const hasAccess = req.userRole === 'admin' ||
-      isFree ||
+    const hasAccess = canManage ||
+      (isFree && !(await isFreeCourseLocked(course, req.user._id))) ||
       (payment && payment.status === 'approved');
 
     const unlockedLevelNumber =
-      req.userRole === 'admin'
+      canManage
         ? Number.MAX_SAFE_INTEGER
         : hasAccess
           ? (progress?.currentLevel || 1)
@@ -213,7 +278,7 @@ router.get('/course/:courseId', authenticate, async (req, res) => {
       const hasVideo = Boolean(obj.videoPath && obj.videoPath !== 'pending');
 
       // Never leak external URLs to students (they could bypass the paywall).
-      if (req.userRole !== 'admin') {
+      if (!canManage) {
         delete obj.videoPath;
       }
 
@@ -246,17 +311,16 @@ router.get('/:id', authenticate, async (req, res) => {
     }
 
     // Students should not be able to fetch levels for draft/archived courses.
-    if (req.userRole !== 'admin') {
-      const course = await Course.findById(level.courseId).select('status');
-      if (!course || course.status !== 'published') {
-        return res.status(404).json({ message: 'Level not found' });
-      }
+    const course = await Course.findById(level.courseId).select('status ownerId collaborators');
+    const canManage = isCourseManager(req.user, course);
+    if (!canManage && (!course || course.status !== 'published')) {
+      return res.status(404).json({ message: 'Level not found' });
     }
     const obj = level.toObject();
     const hasVideo = Boolean(obj.videoPath && obj.videoPath !== 'pending');
 
     // Never leak external URLs to students (they could bypass the paywall).
-    if (req.userRole !== 'admin') {
+    if (!canManage) {
       delete obj.videoPath;
     }
 
@@ -269,11 +333,19 @@ router.get('/:id', authenticate, async (req, res) => {
 
 // @route   POST /levels
 // @desc    Create a new level
-// @access  Private/Admin
-router.post('/', authenticate, requireAdmin, async (req, res) => {
+// @access  Private/Admin or Instructor (own courses)
+router.post('/', authenticate, requireCourseStaff, async (req, res) => {
   try {
     const { courseId, title, description, levelNumber, quizEnabled } = req.body;
 
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+      return res.status(400).json({ message: 'Invalid course ID' });
+    }
+
+    if (!(await canManageCourseById(req.user, courseId))) {
+      return sendCoursePermissionDenied(res);
+    }
+
     const level = await Level.create({
       courseId,
       title,
@@ -284,9 +356,12 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
       status: 'active'
     });
 
-    // Keep course totalLevels in sync
-    const totalLevels = await Level.countDocuments({ courseId });
-    await Course.findByIdAndUpdate(courseId, { totalLevels });
+    await recordAudit(req, {
+      action: 'level.create',
+      targetType: 'level',
+      targetId: level._id,
+      after: toAuditSnapshot(level)
+    });
 
     res.status(201).json(level);
   } catch (error) {
@@ -297,9 +372,28 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
 
 // @route   PUT /levels/:id
 // @desc    Update level
-// @access  Private/Admin
-router.put('/:id', authenticate, requireAdmin, async (req, res) => {
+// @access  Private/Admin or Instructor (own courses)
+router.put('/:id', authenticate, requireCourseStaff, async (req, res) => {
   try {
+    const existingLevel = await Level.findById(req.params.id);
+    if (!existingLevel) {
+      return res.status(404).json({ message: 'Level not found' });
+    }
+
+    if (!(await canManageCourseById(req.user, existingLevel.courseId))) {
+      return sendCoursePermissionDenied(res);
+    }
+
+    // Moving a level to another course needs permission on that course as well.
+    const targetCourseId = req.body.courseId;
+    if (
+      targetCourseId &&
+      targetCourseId.toString() !== existingLevel.courseId.toString() &&
+      !(await canManageCourseById(req.user, targetCourseId))
+    ) {
+      return sendCoursePermissionDenied(res);
+    }
+
     const level = await Level.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -310,6 +404,15 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
       return res.status(404).json({ message: 'Level not found' });
     }
 
+    const changedFields = Object.keys(req.body);
+    await recordAudit(req, {
+      action: 'level.update',
+      targetType: 'level',
+      targetId: level._id,
+      before: toAuditSnapshot(existingLevel, changedFields),
+      after: toAuditSnapshot(level, changedFields)
+    });
+
     res.json(level);
   } catch (error) {
     console.error('Update level error:', error);
@@ -319,21 +422,28 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
 
 // @route   DELETE /levels/:id
 // @desc    Delete level
-// @access  Private/Admin
-router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+// @access  Private/Admin or Instructor (own courses)
+router.delete('/:id', authenticate, requireCourseStaff, async (req, res) => {
   try {
     const level = await Level.findById(req.params.id);
     if (!level) {
       return res.status(404).json({ message: 'Level not found' });
     }
 
+    if (!(await canManageCourseById(req.user, level.courseId))) {
+      return sendCoursePermissionDenied(res);
+    }
+
     const oldVideoPath = level.videoPath;
     await level.deleteOne();
     await removeStoredLocalUpload(oldVideoPath);
 
-    // Update course level count
-    const totalLevels = await Level.countDocuments({ courseId: level.courseId });
-    await Course.findByIdAndUpdate(level.courseId, { totalLevels });
+    await recordAudit(req, {
+      action: 'level.delete',
+      targetType: 'level',
+      targetId: level._id,
+      before: toAuditSnapshot(level)
+    });
 
     res.json({ message: 'Level removed' });
   } catch (error) {
@@ -344,10 +454,10 @@ router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
 
 // @route   POST /levels/:id/video
 // @desc    Upload level video
-// @access  Private/Admin
+// @access  Private/Admin or Instructor (own courses)
 router.post('/:id/video',
   authenticate,
-  requireAdmin,
+  requireCourseStaff,
   uploadVideo.single('video'),
   handleUploadError,
   async (req, res) => {
@@ -363,6 +473,11 @@ router.post('/:id/video',
         return res.status(404).json({ message: 'Level not found' });
       }
 
+      if (!(await canManageCourseById(req.user, level.courseId))) {
+        await discardUploadedTempFile(req.file);
+        return sendCoursePermissionDenied(res);
+      }
+
       const localVideoPath = `/uploads/videos/${req.file.filename}`;
       const persistedVideo = await persistUploadedFile({
         file: req.file,
@@ -377,6 +492,14 @@ router.post('/:id/video',
       await level.save();
       await removeStoredLocalUpload(previousVideoPath);
 
+      await recordAudit(req, {
+        action: 'level.video_update',
+        targetType: 'level',
+        targetId: level._id,
+        before: { videoPath: previousVideoPath || null },
+        after: { videoPath: level.videoPath }
+      });
+
       res.json(level);
     } catch (error) {
       if (req.file && !uploadPersisted) {
@@ -390,8 +513,8 @@ router.post('/:id/video',
 
 // @route   PUT /levels/:id/video-link
 // @desc    Set level video from an external (Google Drive) link
-// @access  Private/Admin
-router.put('/:id/video-link', authenticate, requireAdmin, async (req, res) => {
+// @access  Private/Admin or Instructor (own courses)
+router.put('/:id/video-link', authenticate, requireCourseStaff, async (req, res) => {
   try {
     const rawValue = typeof req.body?.url === 'string' ? req.body.url.trim() : '';
     if (!rawValue) {
@@ -420,11 +543,23 @@ router.put('/:id/video-link', authenticate, requireAdmin, async (req, res) => {
       return res.status(404).json({ message: 'Level not found' });
     }
 
+    if (!(await canManageCourseById(req.user, level.courseId))) {
+      return sendCoursePermissionDenied(res);
+    }
+
     const previousVideoPath = level.videoPath;
     level.videoPath = normalized;
     await level.save();
     await removeStoredLocalUpload(previousVideoPath);
 
+    await recordAudit(req, {
+      action: 'level.video_update',
+      targetType: 'level',
+      targetId: level._id,
+      before: { videoPath: previousVideoPath || null },
+      after: { videoPath: level.videoPath }
+    });
+
     res.json(level);
   } catch (error) {
     console.error('Set video link error:', error);
@@ -432,55 +567,53 @@ router.put('/:id/video-link', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
-// @route   GET /levels/:id/stream
-// @desc    Stream video with auth & sequential access checks
+// @route   GET /levels/:id/stream-url
+// @desc    Issue a short-lived signed URL for streaming this level's video
 // @access  Private
-router.get('/:id/stream', authenticate, async (req, res) => {
+router.get('/:id/stream-url', authenticate, async (req, res) => {
   try {
-    const level = await Level.findById(req.params.id);
-    if (!level || !level.videoPath || level.videoPath === 'pending') {
-      return res.status(404).json({ message: 'Video not uploaded yet' });
-    }
-
-    const course = await Course.findById(level.courseId);
-    if (!course) {
-      return res.status(404).json({ message: 'Course not found' });
+    // Stream links are bound to the viewer's own session, which an impersonation token does not have.
+    if (req.impersonator) {
+      return res.status(403).json({
+        message: 'Video playback is not available while viewing as a student.',
+        code: 'IMPERSONATION_READ_ONLY'
+      });
     }
 
-    if (req.userRole !== 'admin' && course.status !== 'published') {
-      return res.status(404).json({ message: 'Course not found' });
+    const level = await Level.findById(req.params.id);
+    const access = await checkStreamAccess({ user: req.user, level });
+    if (!access.ok) {
+      return res.status(access.status).json({ message: access.message });
     }
 
-    const approvedPayment = await Payment.findOne({
+    const { url, expiresAt } = createStreamUrl({
+      levelId: level._id,
       userId: req.user._id,
-      courseId: course._id,
-      status: 'approved'
+      sessionId: req.sessionId
     });
 
-    const hasAccess = req.userRole === 'admin' || course.price === 0 || approvedPayment;
-    if (!hasAccess) {
-      return res.status(403).json({ message: 'Course locked until payment is approved' });
-    }
-
-    // Ensure sequential access for students only. Admins can stream any level.
-    if (req.userRole !== 'admin') {
-      let progress = await Progress.findOne({ userId: req.user._id, courseId: course._id });
-      if (!progress) {
-        progress = await Progress.create({
-          userId: req.user._id,
-          courseId: course._id,
-          completedLevels: [],
-          currentLevel: 1
-        });
-      }
+    res.json({ url, expiresAt });
+  } catch (error) {
+    console.error('Create stream URL error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-      if (level.levelNumber > (progress.currentLevel || 1)) {
-        return res.status(403).json({ message: 'You must complete previous levels first' });
-      }
+// @route   GET /levels/:id/stream
+// @desc    Stream video with signed-URL auth & sequential access checks
+// @access  Private (signed URL from /levels/:id/stream-url)
+router.get('/:id/stream', authenticateSignedStream, async (req, res) => {
+  try {
+    const level = await Level.findById(req.params.id);
+    const access = await checkStreamAccess({ user: req.user, level });
+    if (!access.ok) {
+      return res.status(access.status).json({ message: access.message });
+    }
 
-      // Update last access timestamp
-      progress.lastAccessedAt = Date.now();
-      await progress.save();
+    // Update last access timestamp
+    if (access.progress) {
+      access.progress.lastAccessedAt = Date.now();
+      await access.progress.save();
     }
 
     // External video link support (Google Drive). Proxy so the link is not leaked to clients.
@@ -1,14 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const { Payment, Course, Progress } = require('../models');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const { Payment, Course, Progress, Bundle } = require('../models');
+const { authenticate, allowApiKey, requireAdmin } = require('../middleware/auth');
 const { uploadPaymentProof, handleUploadError } = require('../middleware/upload');
 const {
   discardUploadedTempFile,
   persistUploadedFile,
   removeStoredLocalUpload
 } = require('../utils/mediaStorage');
+const { recordAudit, toAuditSnapshot } = require('../utils/auditLog');
+const { getPrerequisiteStatus, getMissingPrerequisites } = require('../utils/coursePrerequisites');
 
 // Ensure a progress record exists when a payment is approved
 const ensureProgress = async (userId, courseId) => {
@@ -23,6 +25,65 @@ const ensureProgress = async (userId, courseId) => {
   });
 };
 
+// Course payment fields a bundle approval overwrites (and a withdrawal puts back)
+const BUNDLE_REPLACED_FIELDS = ['status', 'transactionId', 'amount', 'verifiedBy', 'verifiedAt', 'rejectionReason', 'notes'];
+
+/**
+ * Unlock every course of an approved bundle payment: each course gets an approved payment
+ * record pointing back at the bundle payment (so the usual per-course access checks apply)
+ * and a progress record. Courses the student already paid for are left as they are; a
+ * pending or rejected course payment is taken over and its previous state kept.
+ */
+const grantBundleAccess = async (payment, adminId) => {
+  const verifiedAt = new Date();
+
+  for (const courseId of payment.bundleCourseIds || []) {
+    const existing = await Payment.findOne({ userId: payment.userId, courseId })
+      .select(`${BUNDLE_REPLACED_FIELDS.join(' ')} bundlePaymentId`)
+      .lean();
+    if (existing?.status !== 'approved') {
+      const update = {
+        bundlePaymentId: payment._id,
+        transactionId: payment.transactionId,
+        amount: 0,
+        status: 'approved',
+        verifiedBy: adminId,
+        verifiedAt,
+        rejectionReason: '',
+        notes: 'Unlocked by bundle payment'
+      };
+      if (existing && !existing.bundlePaymentId) {
+        update.bundleReplacedState = Object.fromEntries(
+          BUNDLE_REPLACED_FIELDS.map((field) => [field, existing[field]])
+        );
+      }
+
+      // updateOne skips the save hooks: the bundle payment already sends the status email.
+      await Payment.updateOne({ userId: payment.userId, courseId }, { $set: update }, { upsert: true });
+    }
+    await ensureProgress(payment.userId, courseId);
+  }
+};
+
+/**
+ * Withdraw the course access granted by a bundle payment that is no longer approved.
+ * Course payments the bundle took over get their own state back; the rest are removed.
+ */
+const revokeBundleAccess = async (payment) => {
+  const replaced = await Payment.find({ bundlePaymentId: payment._id, bundleReplacedState: { $ne: null } })
+    .select('bundleReplacedState')
+    .lean();
+
+  for (const record of replaced) {
+    await Payment.updateOne(
+      { _id: record._id },
+      { $set: { ...record.bundleReplacedState, bundlePaymentId: null, bundleReplacedState: null } }
+    );
+  }
+
+  await Payment.deleteMany({ bundlePaymentId: payment._id, bundleReplacedState: null });
+};
+
 // Helper to get file from either proof or proofImage field
 const getProofFile = (files = {}) => {
   if (Array.isArray(files.proof) && files.proof[0]) return files.proof[0];
@@ -37,6 +98,7 @@ router.get('/my-payments', authenticate, async (req, res) => {
   try {
     const payments = await Payment.find({ userId: req.user._id })
       .populate('courseId', 'title price')
+      .populate('bundleId', 'title price')
       .sort({ createdAt: -1 });
     res.json({ payments });
   } catch (error) {
@@ -47,12 +109,13 @@ router.get('/my-payments', authenticate, async (req, res) => {
 
 // @route   GET /payments/pending
 // @desc    Get pending payments (Admin)
-// @access  Private/Admin
-router.get('/pending', authenticate, requireAdmin, async (req, res) => {
+// @access  Private/Admin (API key scope: payments:read)
+router.get('/pending', allowApiKey('payments:read'), authenticate, requireAdmin, async (req, res) => {
   try {
     const payments = await Payment.find({ status: 'pending' })
       .populate('userId', 'name email')
       .populate('courseId', 'title price')
+      .populate('bundleId', 'title price')
       .sort({ createdAt: -1 });
     res.json({ payments });
   } catch (error) {
@@ -63,14 +126,15 @@ router.get('/pending', authenticate, requireAdmin, async (req, res) => {
 
 // @route   GET /payments/all
 // @desc    Alias for list all payments (Admin)
-// @access  Private/Admin
-router.get('/all', authenticate, requireAdmin, async (req, res) => {
+// @access  Private/Admin (API key scope: payments:read)
+router.get('/all', allowApiKey('payments:read'), authenticate, requireAdmin, async (req, res) => {
   try {
     const { status } = req.query;
     const query = status ? { status } : {};
     const payments = await Payment.find(query)
       .populate('userId', 'name email')
       .populate('courseId', 'title price')
+      .populate('bundleId', 'title price')
       .sort({ createdAt: -1 });
     res.json({ payments });
   } catch (error) {
@@ -81,8 +145,8 @@ router.get('/all', authenticate, requireAdmin, async (req, res) => {
 
 // @route   GET /payments
 // @desc    Get payments with optional status filter (Admin)
-// @access  Private/Admin
-router.get('/', authenticate, requireAdmin, async (req, res) => {
+// @access  Private/Admin (API key scope: payments:read)
+router.get('/', allowApiKey('payments:read'), authenticate, requireAdmin, async (req, res) => {
   try {
     const { status } = req.query;
     const query = status ? { status } : {};
@@ -90,6 +154,7 @@ router.get('/', authenticate, requireAdmin, async (req, res) => {
     const payments = await Payment.find(query)
       .populate('userId', 'name email')
       .populate('courseId', 'title price')
+      .populate('bundleId', 'title price')
       .sort({ createdAt: -1 });
 
     res.json({ payments });
@@ -136,8 +201,94 @@ router.get('/course/:courseId/status', authenticate, async (req, res) => {
   }
 });
 
+// Either an error ({ status, message }) or what is being bought: the price, the fields
+// identifying the payment, the courses whose prerequisites apply and the courses the
+// purchase itself includes (those count as covered prerequisites).
+const resolveCoursePurchase = async (req, courseId) => {
+  const course = await Course.findById(courseId);
+  if (!course || (req.userRole !== 'admin' && course.status !== 'published')) {
+    return { error: { status: 404, message: 'Course not found' } };
+  }
+
+  if (course.price === 0) {
+    return { error: { status: 400, message: 'This course is free. Payment is not required.' } };
+  }
+
+  const inPendingBundle = await Payment.exists({
+    userId: req.user._id,
+    bundleCourseIds: course._id,
+    status: 'pending'
+  });
+  if (inPendingBundle) {
+    return { error: { status: 400, message: 'This course is part of a bundle payment awaiting verification' } };
+  }
+
+  return {
+    price: course.price,
+    paymentFields: { courseId: course._id },
+    courses: [course],
+    includedCourseIds: []
+  };
+};
+
+const resolveBundlePurchase = async (req, bundleId) => {
+  const bundle = await Bundle.findById(bundleId);
+  if (!bundle || (req.userRole !== 'admin' && bundle.status !== 'published')) {
+    return { error: { status: 404, message: 'Bundle not found' } };
+  }
+
+  const coursePayments = await Payment.find({
+    userId: req.user._id,
+    courseId: { $in: bundle.courseIds },
+    status: { $in: ['approved', 'pending'] }
+  }).select('status');
+
+  if (coursePayments.some((payment) => payment.status === 'pending')) {
+    return {
+      error: {
+        status: 400,
+        message: 'You have a payment awaiting verification for a course in this bundle'
+      }
+    };
+  }
+  if (coursePayments.length >= bundle.courseIds.length) {
+    return { error: { status: 400, message: 'You already have access to every course in this bundle' } };
+  }
+
+  const courses = await Course.find({ _id: { $in: bundle.courseIds }, status: 'published' });
+  return {
+    price: bundle.price,
+    paymentFields: { bundleId: bundle._id, bundleCourseIds: bundle.courseIds },
+    courses,
+    includedCourseIds: bundle.courseIds
+  };
+};
+
+// Incomplete prerequisites of the purchased courses, split by the policy of the course
+// that lists them. Prerequisites included in the purchase itself are not missing.
+const findMissingPrerequisites = async (courses, userId, includedCourseIds) => {
+  const included = new Set(includedCourseIds.map(String));
+  const missing = { required: new Map(), recommended: new Map() };
+
+  for (const course of courses) {
+    const prerequisites = getMissingPrerequisites(await getPrerequisiteStatus(course, userId));
+    prerequisites
+      .filter((prerequisite) => !included.has(prerequisite._id.toString()))
+      .forEach((prerequisite) => {
+        missing[course.prerequisitePolicy].set(prerequisite._id.toString(), prerequisite);
+      });
+  }
+
+  return {
+    required: Array.from(missing.required.values()),
+    recommended: Array.from(missing.recommended.values())
+  };
+};
+
 // @route   POST /payments
-// @desc    Submit a new payment
+// @desc    Submit a new payment for a course (courseId) or a bundle of courses (bundleId),
+//          with one proof upload. Refused (403 PREREQUISITES_NOT_MET) while required
+//          prerequisites are incomplete; recommended ones add a warning to the response.
 // @access  Private
 router.post('/',
   authenticate,
@@ -152,67 +303,91 @@ router.post('/',
 
     try {
       const courseId = req.body.courseId?.toString().trim();
+      const bundleId = req.body.bundleId?.toString().trim();
       const transactionId = req.body.transactionId?.toString().trim();
 
-      if (!file) {
-        return res.status(400).json({ message: 'Proof of payment image is required' });
+      if (req.userRole !== 'admin' && !req.user.emailVerified) {
+        await discardUploadedTempFile(file);
+        return res.status(403).json({
+          message: 'Please verify your email address before submitting a payment.',
+          code: 'EMAIL_NOT_VERIFIED'
+        });
       }
 
-      if (!courseId) {
-        await discardUploadedTempFile(file);
-        return res.status(400).json({ message: 'Course ID is required' });
+      if (!file) {
+        return res.status(400).json({ message: 'Proof of payment image is required' });
       }
 
-      if (!mongoose.Types.ObjectId.isValid(courseId)) {
+      if (!courseId && !bundleId) {
         await discardUploadedTempFile(file);
-        return res.status(400).json({ message: 'Invalid course ID' });
+        return res.status(400).json({ message: 'Course ID or bundle ID is required' });
       }
 
-      if (!transactionId) {
+      if (courseId && bundleId) {
         await discardUploadedTempFile(file);
-        return res.status(400).json({ message: 'Transaction ID is required' });
+        return res.status(400).json({ message: 'Pay for either a course or a bundle, not both' });
       }
 
-      // Check if course exists
-      const course = await Course.findById(courseId);
-      if (!course) {
+      if (!mongoose.Types.ObjectId.isValid(bundleId || courseId)) {
         await discardUploadedTempFile(file);
-        return res.status(404).json({ message: 'Course not found' });
+        return res.status(400).json({ message: bundleId ? 'Invalid bundle ID' : 'Invalid course ID' });
       }
 
-      if (req.userRole !== 'admin' && course.status !== 'published') {
+      if (!transactionId) {
         await discardUploadedTempFile(file);
-        return res.status(404).json({ message: 'Course not found' });
+        return res.status(400).json({ message: 'Transaction ID is required' });
       }
 
-      if (course.price === 0) {
+      const purchase = bundleId
+        ? await resolveBundlePurchase(req, bundleId)
+        : await resolveCoursePurchase(req, courseId);
+      if (purchase.error) {
         await discardUploadedTempFile(file);
-        return res.status(400).json({ message: 'This course is free. Payment is not required.' });
+        return res.status(purchase.error.status).json({ message: purchase.error.message });
       }
 
       const amount = req.body.amount !== undefined && req.body.amount !== ''
         ? Number(req.body.amount)
-        : course.price;
+        : purchase.price;
       if (!Number.isFinite(amount) || amount <= 0) {
         await discardUploadedTempFile(file);
         return res.status(400).json({ message: 'Invalid payment amount' });
       }
 
-      // Single payment record per user+course. Rejected payments are resubmitted by reusing the same record.
+      // Single payment record per user+course (or user+bundle). Rejected payments are resubmitted by reusing the same record.
       const existingPayment = await Payment.findOne({
         userId: req.user._id,
-        courseId
+        ...(bundleId ? { bundleId } : { courseId })
       });
 
       if (existingPayment) {
         if (existingPayment.status === 'approved' || existingPayment.status === 'pending') {
           await discardUploadedTempFile(file);
           return res.status(400).json({
-            message: 'You have already submitted a payment for this course'
+            message: `You have already submitted a payment for this ${bundleId ? 'bundle' : 'course'}`
           });
         }
       }
 
+      // Required prerequisites block the payment; recommended ones are returned as a warning.
+      const missingPrerequisites = req.userRole === 'admin'
+        ? { required: [], recommended: [] }
+        : await findMissingPrerequisites(purchase.courses, req.user._id, purchase.includedCourseIds);
+      if (missingPrerequisites.required.length) {
+        await discardUploadedTempFile(file);
+        return res.status(403).json({
+          message: 'Complete the prerequisite courses before enrolling in this course.',
+          code: 'PREREQUISITES_NOT_MET',
+          missingPrerequisites: missingPrerequisites.required
+        });
+      }
+      const prerequisiteWarning = missingPrerequisites.recommended.length
+        ? {
+          warning: 'This course recommends completing its prerequisite courses first.',
+          missingPrerequisites: missingPrerequisites.recommended
+        }
+        : {};
+
       const localProofPath = `/uploads/payment-proofs/${file.filename}`;
       const persistedProof = await persistUploadedFile({
         file,
@@ -226,6 +401,8 @@ router.post('/',
 
       if (existingPayment && existingPayment.status === 'rejected') {
         const oldProofImage = existingPayment.proofImage;
+        // Bundle resubmissions unlock the bundle's current courses.
+        Object.assign(existingPayment, purchase.paymentFields);
         existingPayment.transactionId = transactionId;
         existingPayment.amount = amount;
         existingPayment.proofImage = proofImage;
@@ -239,20 +416,21 @@ router.post('/',
         await removeStoredLocalUpload(oldProofImage);
         return res.status(200).json({
           payment: existingPayment,
-          message: 'Payment proof resubmitted successfully'
+          message: 'Payment proof resubmitted successfully',
+          ...prerequisiteWarning
         });
       }
 
       const payment = await Payment.create({
         userId: req.user._id,
-        courseId,
+        ...purchase.paymentFields,
         transactionId,
         amount,
         proofImage,
         status: 'pending'
       });
 
-      res.status(201).json({ payment });
+      res.status(201).json({ payment, ...prerequisiteWarning });
     } catch (error) {
       if (file && !uploadPersisted) {
         await discardUploadedTempFile(file);
@@ -260,7 +438,7 @@ router.post('/',
       console.error('Create payment error:', error);
       if (error?.code === 11000) {
         return res.status(400).json({
-          message: 'A payment record already exists for this course. Please wait for verification or contact admin.'
+          message: 'A payment record already exists for this course or bundle. Please wait for verification or contact admin.'
         });
       }
       if (error?.name === 'ValidationError') {
@@ -279,13 +457,15 @@ router.get('/:id', authenticate, async (req, res) => {
   try {
     const payment = await Payment.findById(req.params.id)
       .populate('userId', 'name email')
-      .populate('courseId', 'title price');
+      .populate('courseId', 'title price')
+      .populate('bundleId', 'title price');
 
     if (!payment) {
       return res.status(404).json({ message: 'Payment not found' });
     }
 
-    const isOwner = payment.userId._id.toString() === req.user._id.toString();
+    // Anonymized payments (deleted accounts) have no owner left.
+    const isOwner = payment.userId?._id?.toString() === req.user._id.toString();
     if (!isOwner && req.userRole !== 'admin') {
       return res.status(403).json({ message: 'Unauthorized' });
     }
@@ -310,6 +490,13 @@ const updatePaymentStatus = async (req, res) => {
     return res.status(404).json({ message: 'Payment not found' });
   }
 
+  if (payment.bundlePaymentId) {
+    return res.status(400).json({ message: 'This course was unlocked by a bundle payment. Update the bundle payment instead.' });
+  }
+
+  const auditFields = ['status', 'verifiedBy', 'verifiedAt', 'notes', 'rejectionReason'];
+  const before = toAuditSnapshot(payment, auditFields);
+
   payment.status = status;
   payment.verifiedBy = req.user._id;
   payment.verifiedAt = Date.now();
@@ -320,14 +507,31 @@ const updatePaymentStatus = async (req, res) => {
   }
 
   if (status === 'approved') {
-    await ensureProgress(payment.userId, payment.courseId);
+    if (payment.bundleId) {
+      await grantBundleAccess(payment, req.user._id);
+    } else {
+      await ensureProgress(payment.userId, payment.courseId);
+    }
   }
 
   await payment.save();
 
+  if (payment.bundleId && before.status === 'approved' && status !== 'approved') {
+    await revokeBundleAccess(payment);
+  }
+
+  await recordAudit(req, {
+    action: 'payment.status_update',
+    targetType: 'payment',
+    targetId: payment._id,
+    before,
+    after: toAuditSnapshot(payment, auditFields)
+  });
+
   const populated = await Payment.findById(payment._id)
     .populate('userId', 'name email')
-    .populate('courseId', 'title price');
+    .populate('courseId', 'title price')
+    .populate('bundleId', 'title price');
 
   return res.json({ payment: populated });
 };
@@ -2,8 +2,10 @@ const express = require('express');
 const router = express.Router();
 const { Progress, Course, Level, Payment } = require('../models');
 const { authenticate } = require('../middleware/auth');
+const { isFreeCourseLocked } = require('../utils/coursePrerequisites');
+const { updateCourseCompletion } = require('../utils/courseProgress');
 
-// Helper: verify user has access to course (free, approved payment, or admin)
+// Helper: verify user has access to course (free with prerequisites met, approved payment, or admin)
 const checkCourseAccess = async (user, courseId) => {
   const course = await Course.findById(courseId);
   if (!course) {
@@ -17,10 +19,14 @@ const checkCourseAccess = async (user, courseId) => {
 
   const isFree = course.price === 0;
 
-  if (user.role === 'admin' || isFree) {
+  if (user.role === 'admin') {
     return { course, hasAccess: true };
   }
 
+  if (isFree) {
+    return { course, hasAccess: !(await isFreeCourseLocked(course, user._id)) };
+  }
+
   const payment = await Payment.findOne({
     userId: user._id,
     courseId,
@@ -30,17 +36,19 @@ const checkCourseAccess = async (user, courseId) => {
   return { course, hasAccess: !!payment };
 };
 
-// Helper: ensure progress doc exists
-const ensureProgress = async (userId, courseId) => {
+// Helper: ensure progress doc exists. With `readOnly` (impersonation) a missing record is
+// returned unsaved, so viewing as a student does not enroll them.
+const ensureProgress = async (userId, courseId, { readOnly = false } = {}) => {
   let progress = await Progress.findOne({ userId, courseId });
   if (!progress) {
-    progress = await Progress.create({
+    const fields = {
       userId,
       courseId,
       completedLevels: [],
       currentLevel: 1,
       totalProgress: 0
-    });
+    };
+    progress = readOnly ? new Progress(fields) : await Progress.create(fields);
   }
   return progress;
 };
@@ -76,8 +84,10 @@ router.get('/course/:courseId', authenticate, async (req, res) => {
       return res.status(403).json({ message: 'Course locked until payment is approved' });
     }
 
-    let progress = await ensureProgress(req.user._id, req.params.courseId);
-    progress = await Progress.findById(progress._id).populate('completedLevels.levelId');
+    let progress = await ensureProgress(req.user._id, req.params.courseId, { readOnly: Boolean(req.impersonator) });
+    if (!progress.isNew) {
+      progress = await Progress.findById(progress._id).populate('completedLevels.levelId');
+    }
 
     res.json({ progress });
   } catch (error) {
@@ -144,14 +154,7 @@ router.post('/level-complete', authenticate, async (req, res) => {
       progress.currentLevel = Math.max(progress.currentLevel || 1, level.levelNumber + 1);
     }
 
-    const totalLevels = await Level.countDocuments({ courseId });
-    progress.calculateProgress(totalLevels);
-
-    if (progress.currentLevel > totalLevels) {
-      progress.courseCompleted = true;
-      progress.courseCompletedAt = Date.now();
-      progress.totalProgress = 100;
-    }
+    await updateCourseCompletion(progress, course);
 
     progress.lastAccessedAt = Date.now();
 
@@ -177,7 +180,7 @@ router.get('/course/:courseId/next-level', authenticate, async (req, res) => {
       return res.status(403).json({ message: 'Course locked until payment is approved' });
     }
 
-    const progress = await ensureProgress(req.user._id, req.params.courseId);
+    const progress = await ensureProgress(req.user._id, req.params.courseId, { readOnly: Boolean(req.impersonator) });
     const nextLevelNumber = progress.currentLevel || 1;
 
     const nextLevel = await Level.findOne({
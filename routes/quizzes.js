@@ -1,7 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const { Quiz, Level, Progress, Payment, Course } = require('../models');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const { authenticate, requireCourseStaff } = require('../middleware/auth');
+const {
+  isCourseManager,
+  canManageCourseById,
+  sendCoursePermissionDenied
+} = require('../utils/coursePermissions');
+const { recordAudit, toAuditSnapshot } = require('../utils/auditLog');
+const { isFreeCourseLocked } = require('../utils/coursePrerequisites');
+const { updateCourseCompletion } = require('../utils/courseProgress');
 
 const buildStudentQuizView = (quizDoc) => {
   const quiz = quizDoc.toObject ? quizDoc.toObject() : quizDoc;
@@ -31,22 +39,26 @@ router.get('/level/:levelId', authenticate, async (req, res) => {
   try {
     const quiz = await Quiz.findOne({ levelId: req.params.levelId });
     if (!quiz) {
-      if (req.userRole === 'admin') {
-        return res.json({ quiz: null }); // Allow admin to see null so they can create one
+      const level = await Level.findById(req.params.levelId).select('courseId');
+      if (await canManageCourseById(req.user, level?.courseId)) {
+        return res.json({ quiz: null }); // Allow course staff to see null so they can create one
       }
       return res.status(404).json({ message: 'Quiz not found' });
     }
 
-    if (req.userRole !== 'admin' && quiz.status !== 'active') {
-      return res.status(404).json({ message: 'Quiz not found' });
-    }
+    const course = await Course.findById(quiz.courseId)
+      .select('price status ownerId collaborators prerequisites prerequisitePolicy');
+    const canManage = isCourseManager(req.user, course);
 
-    if (req.userRole === 'admin') {
+    if (canManage) {
       return res.json({ quiz });
     }
 
+    if (quiz.status !== 'active') {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
     // Student access control: only for published courses with access.
-    const course = await Course.findById(quiz.courseId).select('price status');
     if (!course || course.status !== 'published') {
       return res.status(404).json({ message: 'Quiz not found' });
     }
@@ -60,6 +72,8 @@ router.get('/level/:levelId', authenticate, async (req, res) => {
       if (!approvedPayment) {
         return res.status(403).json({ message: 'Course locked until payment is approved' });
       }
+    } else if (await isFreeCourseLocked(course, req.user._id)) {
+      return res.status(403).json({ message: 'Complete the required prerequisite courses first' });
     }
 
     return res.json({ quiz: buildStudentQuizView(quiz) });
@@ -71,8 +85,8 @@ router.get('/level/:levelId', authenticate, async (req, res) => {
 
 // @route   POST /quizzes
 // @desc    Create a quiz
-// @access  Private/Admin
-router.post('/', authenticate, requireAdmin, async (req, res) => {
+// @access  Private/Admin or Instructor (own courses)
+router.post('/', authenticate, requireCourseStaff, async (req, res) => {
   try {
     const {
       levelId,
@@ -103,11 +117,15 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
       return res.status(400).json({ message: 'levelId and courseId do not match' });
     }
 
-    const course = await Course.findById(courseId).select('_id');
+    const course = await Course.findById(courseId).select('ownerId collaborators');
     if (!course) {
       return res.status(404).json({ message: 'Course not found' });
     }
 
+    if (!isCourseManager(req.user, course)) {
+      return sendCoursePermissionDenied(res);
+    }
+
     const existingQuiz = await Quiz.findOne({ levelId });
     if (existingQuiz) {
       return res.status(400).json({ message: 'Quiz already exists for this level' });
@@ -125,6 +143,13 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
       status
     });
 
+    await recordAudit(req, {
+      action: 'quiz.create',
+      targetType: 'quiz',
+      targetId: quiz._id,
+      after: toAuditSnapshot(quiz)
+    });
+
     return res.status(201).json({ quiz });
   } catch (error) {
     console.error('Create quiz error:', error);
@@ -134,13 +159,42 @@ router.post('/', authenticate, requireAdmin, async (req, res) => {
 
 // @route   PUT /quizzes/:id
 // @desc    Update a quiz
-// @access  Private/Admin
-router.put('/:id', authenticate, requireAdmin, async (req, res) => {
+// @access  Private/Admin or Instructor (own courses)
+router.put('/:id', authenticate, requireCourseStaff, async (req, res) => {
   try {
+    const existingQuiz = await Quiz.findById(req.params.id);
+    if (!existingQuiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    if (!(await canManageCourseById(req.user, existingQuiz.courseId))) {
+      return sendCoursePermissionDenied(res);
+    }
+
+    // Moving a quiz to another course needs permission on that course as well.
+    const targetCourseId = req.body.courseId;
+    if (
+      targetCourseId &&
+      targetCourseId.toString() !== existingQuiz.courseId.toString() &&
+      !(await canManageCourseById(req.user, targetCourseId))
+    ) {
+      return sendCoursePermissionDenied(res);
+    }
+
     const quiz = await Quiz.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
     if (!quiz) {
       return res.status(404).json({ message: 'Quiz not found' });
     }
+
+    const changedFields = Object.keys(req.body);
+    await recordAudit(req, {
+      action: 'quiz.update',
+      targetType: 'quiz',
+      targetId: quiz._id,
+      before: toAuditSnapshot(existingQuiz, changedFields),
+      after: toAuditSnapshot(quiz, changedFields)
+    });
+
     return res.json({ quiz });
   } catch (error) {
     console.error('Update quiz error:', error);
@@ -150,10 +204,24 @@ router.put('/:id', authenticate, requireAdmin, async (req, res) => {
 
 // @route   DELETE /quizzes/:id
 // @desc    Delete a quiz
-// @access  Private/Admin
-router.delete('/:id', authenticate, requireAdmin, async (req, res) => {
+// @access  Private/Admin or Instructor (own courses)
+router.delete('/:id', authenticate, requireCourseStaff, async (req, res) => {
   try {
+    const quiz = await Quiz.findById(req.params.id);
+    if (quiz && !(await canManageCourseById(req.user, quiz.courseId))) {
+      return sendCoursePermissionDenied(res);
+    }
+
     await Quiz.findByIdAndDelete(req.params.id);
+
+    if (quiz) {
+      await recordAudit(req, {
+        action: 'quiz.delete',
+        targetType: 'quiz',
+        targetId: quiz._id,
+        before: toAuditSnapshot(quiz)
+      });
+    }
     return res.json({ message: 'Quiz deleted' });
   } catch (error) {
     console.error('Delete quiz error:', error);
@@ -173,7 +241,14 @@ router.post('/:id/submit', authenticate, async (req, res) => {
       return res.status(404).json({ message: 'Quiz not found' });
     }
 
-    if (quiz.status !== 'active' && req.userRole !== 'admin') {
+    const course = await Course.findById(quiz.courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const canManage = isCourseManager(req.user, course);
+
+    if (quiz.status !== 'active' && !canManage) {
       return res.status(403).json({ message: 'Quiz is not active' });
     }
 
@@ -186,18 +261,13 @@ router.post('/:id/submit', authenticate, async (req, res) => {
       return res.status(404).json({ message: 'Level not found' });
     }
 
-    const course = await Course.findById(quiz.courseId);
-    if (!course) {
+    if (!canManage && course.status !== 'published') {
       return res.status(404).json({ message: 'Course not found' });
     }
 
-    if (req.userRole !== 'admin' && course.status !== 'published') {
-      return res.status(404).json({ message: 'Course not found' });
-    }
-
-    // Access control: ensure payment approved or course is free/admin
+    // Access control: ensure payment approved or course is free/course staff
     const isFree = course.price === 0;
-    if (req.userRole !== 'admin' && !isFree) {
+    if (!canManage && !isFree) {
       const approvedPayment = await Payment.findOne({
         userId: req.user._id,
         courseId: quiz.courseId,
@@ -206,6 +276,8 @@ router.post('/:id/submit', authenticate, async (req, res) => {
       if (!approvedPayment) {
         return res.status(403).json({ message: 'Course locked until payment is approved' });
       }
+    } else if (!canManage && await isFreeCourseLocked(course, req.user._id)) {
+      return res.status(403).json({ message: 'Complete the required prerequisite courses first' });
     }
 
     // Update progress with quiz result
@@ -230,7 +302,7 @@ router.post('/:id/submit', authenticate, async (req, res) => {
     const existing = levelIndex > -1 ? progress.completedLevels[levelIndex].toObject() : null;
     const attemptsUsedBefore = existing?.quizAttempts || 0;
 
-    if (req.userRole !== 'admin' && attemptsUsedBefore >= quiz.maxAttempts) {
+    if (!canManage && attemptsUsedBefore >= quiz.maxAttempts) {
       return res.status(400).json({
         message: 'Maximum attempts reached for this quiz',
         attemptsUsed: attemptsUsedBefore,
@@ -296,13 +368,7 @@ router.post('/:id/submit', authenticate, async (req, res) => {
       progress.currentLevel = Math.max(progress.currentLevel || 1, level.levelNumber + 1);
     }
 
-    const totalLevels = await Level.countDocuments({ courseId: quiz.courseId });
-    progress.calculateProgress(totalLevels);
-    if (progress.currentLevel > totalLevels) {
-      progress.courseCompleted = true;
-      progress.courseCompletedAt = Date.now();
-      progress.totalProgress = 100;
-    }
+    await updateCourseCompletion(progress, course);
 
     await progress.save();
 
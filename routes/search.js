@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const { Course, Level, Quiz, Payment } = require('../models');
+const { authenticate } = require('../middleware/auth');
+const { isCourseManager } = require('../utils/coursePermissions');
+const { catalogVisibilityFilter } = require('../utils/courseCatalog');
+const { extractSearchTerms, buildHighlights } = require('../utils/search');
+
+// Text matches fetched per collection before grouping; results beyond this are not ranked.
+const MAX_CANDIDATES = 200;
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+
+const textSearch = (Model, q, filter, fields) =>
+  Model.find({ ...filter, $text: { $search: q } }, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(MAX_CANDIDATES)
+    .select(fields)
+    .lean();
+
+// @route   GET /search
+// @desc    Ranked full-text search over courses, level titles/descriptions and quiz titles,
+//          grouped by course. Query: q, page, limit
+// @access  Private (same visibility as GET /courses; quiz hits need course access)
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const q = (req.query.q || '').toString().trim();
+    if (q.length < MIN_QUERY_LENGTH || q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({
+        message: `Search query must be between ${MIN_QUERY_LENGTH} and ${MAX_QUERY_LENGTH} characters`
+      });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.max(1, Math.min(20, parseInt(req.query.limit, 10) || 10));
+    const visibility = catalogVisibilityFilter(req.user);
+
+    const [courseHits, levelHits, quizHits] = await Promise.all([
+      textSearch(Course, q, visibility, 'title description tags thumbnail price status ownerId collaborators'),
+      textSearch(Level, q, {}, 'courseId levelNumber title description status'),
+      textSearch(Quiz, q, {}, 'courseId levelId title status')
+    ]);
+
+    // Load every course referenced by a hit, keeping only those the user may see.
+    const matchedCourseIds = new Set(courseHits.map((course) => course._id.toString()));
+    const otherCourseIds = [...levelHits, ...quizHits]
+      .map((hit) => hit.courseId.toString())
+      .filter((id) => !matchedCourseIds.has(id));
+    const otherCourses = otherCourseIds.length
+      ? await Course.find({ ...visibility, _id: { $in: Array.from(new Set(otherCourseIds)) } })
+        .select('title description tags thumbnail price status ownerId collaborators')
+        .lean()
+      : [];
+    const coursesById = new Map([...courseHits, ...otherCourses].map((course) => [course._id.toString(), course]));
+
+    const approvedCourseIds = new Set(
+      (await Payment.find({
+        userId: req.user._id,
+        courseId: { $in: Array.from(coursesById.keys()) },
+        status: 'approved'
+      }).select('courseId').lean()).map((payment) => payment.courseId.toString())
+    );
+
+    const terms = extractSearchTerms(q);
+    const groups = new Map();
+    const addHit = (courseId, hit) => {
+      const course = coursesById.get(courseId);
+      if (!course) return;
+
+      if (!groups.has(courseId)) {
+        const canManage = isCourseManager(req.user, course);
+        groups.set(courseId, {
+          course: {
+            _id: course._id,
+            title: course.title,
+            thumbnail: course.thumbnail,
+            price: course.price,
+            status: course.status
+          },
+          canManage,
+          hasAccess: canManage || course.price === 0 || approvedCourseIds.has(courseId),
+          score: 0,
+          hits: []
+        });
+      }
+
+      const group = groups.get(courseId);
+      group.hits.push(hit);
+      group.score = Math.max(group.score, hit.score);
+    };
+
+    courseHits.forEach((course) => {
+      addHit(course._id.toString(), {
+        type: 'course',
+        _id: course._id,
+        title: course.title,
+        score: course.score,
+        highlights: buildHighlights(course, ['title', 'description', 'tags'], terms)
+      });
+    });
+
+    // Level titles are public once the course is visible (same as GET /courses/:id);
+    // inactive levels and quizzes only show up for course staff.
+    levelHits.forEach((level) => {
+      const courseId = level.courseId.toString();
+      const course = coursesById.get(courseId);
+      if (!course || (level.status !== 'active' && !isCourseManager(req.user, course))) return;
+
+      addHit(courseId, {
+        type: 'level',
+        _id: level._id,
+        levelNumber: level.levelNumber,
+        title: level.title,
+        score: level.score,
+        highlights: buildHighlights(level, ['title', 'description'], terms)
+      });
+    });
+
+    quizHits.forEach((quiz) => {
+      const courseId = quiz.courseId.toString();
+      const course = coursesById.get(courseId);
+      if (!course) return;
+      const canManage = isCourseManager(req.user, course);
+      const hasAccess = canManage || course.price === 0 || approvedCourseIds.has(courseId);
+      if (!hasAccess || (quiz.status !== 'active' && !canManage)) return;
+
+      addHit(courseId, {
+        type: 'quiz',
+        _id: quiz._id,
+        levelId: quiz.levelId,
+        title: quiz.title,
+        score: quiz.score,
+        highlights: buildHighlights(quiz, ['title'], terms)
+      });
+    });
+
+    const rankedGroups = Array.from(groups.values())
+      .map((group) => ({ ...group, hits: group.hits.sort((a, b) => b.score - a.score) }))
+      .sort((a, b) => b.score - a.score);
+    const total = rankedGroups.length;
+
+    res.json({
+      query: q,
+      results: rankedGroups.slice((page - 1) * limit, page * limit),
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const mongoose = require('mongoose');
+const { User } = require('../models');
+
+const MONGODB_URI =
+  process.env.MONGODB_URI ||
+  process.env.MONGO_URI ||
+  'mongodb://localhost:27017/video-learning-platform';
+
+// Accounts created before email verification existed have no `emailVerified` field.
+// Mark them verified once so existing students can keep paying for courses.
+// Usage: node scripts/backfillEmailVerified.js [--dry-run]
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const filter = { emailVerified: { $exists: false } };
+
+  try {
+    await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 10000 });
+
+    if (dryRun) {
+      const count = await User.countDocuments(filter);
+      console.log(`Users to mark as verified: ${count}`);
+    } else {
+      const result = await User.updateMany(filter, { $set: { emailVerified: true } });
+      console.log(`Marked ${result.modifiedCount} existing users as email verified`);
+    }
+  } catch (error) {
+    console.error('Backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
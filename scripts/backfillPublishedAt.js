@@ -0,0 +1,38 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const mongoose = require('mongoose');
+const { Course } = require('../models');
+
+const MONGODB_URI =
+  process.env.MONGODB_URI ||
+  process.env.MONGO_URI ||
+  'mongodb://localhost:27017/video-learning-platform';
+
+// Courses published before `publishedAt` existed have it set to null. Stamp them with their
+// creation time once; otherwise archiving and republishing one would announce it as new.
+// Usage: node scripts/backfillPublishedAt.js [--dry-run]
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const filter = { status: 'published', publishedAt: null };
+
+  try {
+    await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 10000 });
+
+    if (dryRun) {
+      const count = await Course.countDocuments(filter);
+      console.log(`Published courses without publishedAt: ${count}`);
+    } else {
+      const result = await Course.updateMany(filter, [
+        { $set: { publishedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }
+      ]);
+      console.log(`Set publishedAt on ${result.modifiedCount} published courses`);
+    }
+  } catch (error) {
+    console.error('Backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// Minimal OpenID Connect provider for local testing of /api/auth/oidc/*.
+// Every authorization request is approved immediately for a fixed test identity.
+// Usage: node scripts/mockOidcProvider.js
+//   then set OIDC_ISSUER=http://localhost:4010 OIDC_CLIENT_ID=local-client
+//   (optional env: MOCK_OIDC_PORT, MOCK_OIDC_EMAIL, MOCK_OIDC_NAME, MOCK_OIDC_SUB, MOCK_OIDC_EMAIL_VERIFIED)
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 4010;
+const ISSUER = `http://localhost:${PORT}`;
+const KEY_ID = 'mock-key-1';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const authorizationCodes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// `login_hint` overrides the test email so several accounts can be tried.
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge, login_hint: loginHint } = req.query;
+  if (!clientId || !redirectUri || !state || !codeChallenge) {
+    return res.status(400).send('client_id, redirect_uri, state and code_challenge are required');
+  }
+
+  const email = (loginHint || process.env.MOCK_OIDC_EMAIL || 'oidc.student@example.com').toString().toLowerCase();
+  const code = crypto.randomBytes(16).toString('base64url');
+  authorizationCodes.set(code, { clientId, redirectUri, nonce, codeChallenge, email, expiresAt: Date.now() + 60 * 1000 });
+
+  const target = new URL(redirectUri);
+  target.searchParams.set('code', code);
+  target.searchParams.set('state', state);
+  console.log(`[mock-oidc] Approved login for ${email}. Callback: ${target.toString()}`);
+  res.redirect(target.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { code, redirect_uri: redirectUri, client_id: clientId, code_verifier: codeVerifier } = req.body;
+  const grant = authorizationCodes.get(code);
+  authorizationCodes.delete(code);
+
+  const challenge = codeVerifier ? crypto.createHash('sha256').update(codeVerifier).digest('base64url') : null;
+  if (!grant || grant.expiresAt < Date.now() || grant.clientId !== clientId || grant.redirectUri !== redirectUri || grant.codeChallenge !== challenge) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const idToken = jwt.sign(
+    {
+      sub: process.env.MOCK_OIDC_SUB || `mock|${grant.email}`,
+      email: grant.email,
+      email_verified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false',
+      name: process.env.MOCK_OIDC_NAME || 'OIDC Test Student',
+      nonce: grant.nonce
+    },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: clientId, expiresIn: '5m' }
+  );
+
+  res.json({ access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.listen(PORT, () => {
+  console.log(`[mock-oidc] Issuer running at ${ISSUER}`);
+});
@@ -0,0 +1,63 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const mongoose = require('mongoose');
+const { Course, Level } = require('../models');
+
+const MONGODB_URI =
+  process.env.MONGODB_URI ||
+  process.env.MONGO_URI ||
+  'mongodb://localhost:27017/video-learning-platform';
+
+const STAT_FIELDS = ['totalLevels', 'publishedLevels', 'totalDuration'];
+
+// Recompute each course's level stats (totalLevels, publishedLevels, totalDuration)
+// from its levels. The Level model keeps them in sync; run this once for data written
+// before that, or after bulk edits made outside the app.
+// Usage: node scripts/repairLevelStats.js [--dry-run]
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 10000 });
+
+    const levelStats = await Level.aggregate([
+      {
+        $group: {
+          _id: '$courseId',
+          totalLevels: { $sum: 1 },
+          publishedLevels: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } },
+          totalDuration: {
+            $sum: { $cond: [{ $eq: ['$status', 'active'] }, { $ifNull: ['$videoDuration', 0] }, 0] }
+          }
+        }
+      }
+    ]);
+    const statsByCourse = new Map(levelStats.map((stats) => [stats._id.toString(), stats]));
+
+    const courses = await Course.find().select(`title ${STAT_FIELDS.join(' ')}`).lean();
+    let drifted = 0;
+
+    for (const course of courses) {
+      const stats = statsByCourse.get(course._id.toString()) || {};
+      const changes = STAT_FIELDS
+        .filter((field) => (course[field] || 0) !== (stats[field] || 0))
+        .map((field) => `${field} ${course[field] || 0} -> ${stats[field] || 0}`);
+      if (!changes.length) continue;
+
+      drifted += 1;
+      console.log(`${course.title} (${course._id}): ${changes.join(', ')}`);
+      if (!dryRun) {
+        await Course.syncLevelStats(course._id);
+      }
+    }
+
+    console.log(`${dryRun ? 'Courses to repair' : 'Repaired courses'}: ${drifted} of ${courses.length}`);
+  } catch (error) {
+    console.error('Repair failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
@@ -113,7 +113,7 @@ const createUsers = async () => {
 
   const createdUsers = [];
   for (const userPayload of rawUsers) {
-    createdUsers.push(await User.create(userPayload));
+    createdUsers.push(await User.create({ ...userPayload, emailVerified: true }));
   }
 
   return {
@@ -230,8 +230,6 @@ const createLevelsAndQuizzes = async (courses) => {
       quizzes.push(quiz);
     }
 
-    await Course.findByIdAndUpdate(course._id, { totalLevels: levels.length });
-
     courseLevelsMap.set(course._id.toString(), {
       levels,
       quizzes
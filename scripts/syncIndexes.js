@@ -0,0 +1,33 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const mongoose = require('mongoose');
+const { Course, Level, Quiz, Payment } = require('../models');
+
+const MONGODB_URI =
+  process.env.MONGODB_URI ||
+  process.env.MONGO_URI ||
+  'mongodb://localhost:27017/video-learning-platform';
+
+// Replace indexes whose definition changed, which MongoDB will not do on its own:
+// - the course search text index (one text index per collection, so the old
+//   title/description index must be dropped first)
+// - the payment user/course index, now partial so bundle payments fit beside it
+// syncIndexes drops indexes no longer declared in the schemas and creates the missing ones.
+// Usage: node scripts/syncIndexes.js
+const run = async () => {
+  try {
+    await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 10000 });
+
+    for (const Model of [Course, Level, Quiz, Payment]) {
+      const dropped = await Model.syncIndexes();
+      console.log(`${Model.modelName}: indexes synced${dropped.length ? `, dropped ${dropped.join(', ')}` : ''}`);
+    }
+  } catch (error) {
+    console.error('Index sync failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Course, Progress } = require('../models');
+const { updateCourseCompletion } = require('../utils/courseProgress');
+
+const buildProgress = (completedCount, currentLevel) => new Progress({
+  userId: new mongoose.Types.ObjectId(),
+  courseId: new mongoose.Types.ObjectId(),
+  currentLevel,
+  completedLevels: Array.from({ length: completedCount }, () => ({
+    levelId: new mongoose.Types.ObjectId(),
+    completed: true
+  }))
+});
+
+// Stand-in for Course.syncLevelStats: no database, the course really has `actualLevels`.
+const stubLevelStats = (t, actualLevels) => {
+  const calls = [];
+  t.mock.method(Course, 'syncLevelStats', async (courseId) => {
+    calls.push(courseId);
+    return { totalLevels: actualLevels, publishedLevels: actualLevels, totalDuration: 0 };
+  });
+  return calls;
+};
+
+test('a stale level counter does not complete the course early', async (t) => {
+  const calls = stubLevelStats(t, 5);
+  const course = { _id: new mongoose.Types.ObjectId(), totalLevels: 1 };
+  const progress = buildProgress(1, 2);
+
+  await updateCourseCompletion(progress, course);
+
+  assert.equal(calls.length, 1);
+  assert.equal(progress.courseCompleted, false);
+  assert.equal(progress.totalProgress, 20);
+});
+
+test('a counter that was never computed is recomputed before completion', async (t) => {
+  const calls = stubLevelStats(t, 3);
+  const course = { _id: new mongoose.Types.ObjectId(), totalLevels: 0 };
+  const progress = buildProgress(1, 2);
+
+  await updateCourseCompletion(progress, course);
+
+  assert.equal(calls.length, 1);
+  assert.equal(progress.courseCompleted, false);
+  assert.equal(progress.totalProgress, 33);
+});
+
+test('a course without levels is never completed', async (t) => {
+  stubLevelStats(t, 0);
+  const progress = buildProgress(0, 2);
+
+  await updateCourseCompletion(progress, { _id: new mongoose.Types.ObjectId(), totalLevels: 0 });
+
+  assert.equal(progress.courseCompleted, false);
+});
+
+test('finishing the last level completes the course once the count is confirmed', async (t) => {
+  const calls = stubLevelStats(t, 2);
+  const course = { _id: new mongoose.Types.ObjectId(), totalLevels: 2 };
+  const progress = buildProgress(2, 3);
+
+  await updateCourseCompletion(progress, course);
+
+  assert.equal(calls.length, 1);
+  assert.equal(progress.courseCompleted, true);
+  assert.equal(progress.totalProgress, 100);
+});
+
+test('an up-to-date counter is used without recounting mid-course', async (t) => {
+  const calls = stubLevelStats(t, 4);
+  const progress = buildProgress(1, 2);
+
+  await updateCourseCompletion(progress, { _id: new mongoose.Types.ObjectId(), totalLevels: 4 });
+
+  assert.equal(calls.length, 0);
+  assert.equal(progress.courseCompleted, false);
+  assert.equal(progress.totalProgress, 25);
+});
@@ -0,0 +1,132 @@
+const { User, Course, Payment, Progress, Session, AuthThrottle, LoginEvent, Suspension, ReactivationRequest } = require('../models');
+const { removeStoredLocalUpload } = require('./mediaStorage');
+
+/**
+ * Everything we hold about a user, shaped for GET /auth/me/export.
+ */
+const buildUserDataExport = async (userId) => {
+  const [user, payments, progress, loginHistory] = await Promise.all([
+    User.findById(userId).lean(),
+    Payment.find({ userId })
+      .populate('courseId', 'title')
+      .populate('bundleId', 'title')
+      .sort({ createdAt: -1 })
+      .lean(),
+    Progress.find({ userId })
+      .populate('courseId', 'title')
+      .populate('completedLevels.levelId', 'title levelNumber')
+      .sort({ updatedAt: -1 })
+      .lean(),
+    LoginEvent.find({ userId })
+      .sort({ createdAt: -1 })
+      .lean()
+  ]);
+
+  if (!user) return null;
+
+  const courseSummary = (course) => (course ? { id: course._id, title: course.title } : null);
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      status: user.status,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactorEnabled,
+      avatar: user.avatar || null,
+      phone: user.phone || '',
+      city: user.city || '',
+      preferredLanguage: user.preferredLanguage,
+      timezone: user.timezone,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    },
+    payments: payments.map((payment) => ({
+      id: payment._id,
+      course: courseSummary(payment.courseId),
+      bundle: courseSummary(payment.bundleId),
+      unlockedByBundlePayment: payment.bundlePaymentId || null,
+      amount: payment.amount,
+      transactionId: payment.transactionId,
+      proofImage: payment.proofImage,
+      status: payment.status,
+      rejectionReason: payment.rejectionReason,
+      verifiedAt: payment.verifiedAt,
+      createdAt: payment.createdAt
+    })),
+    progress: progress.map((entry) => ({
+      course: courseSummary(entry.courseId),
+      currentLevel: entry.currentLevel,
+      totalProgress: entry.totalProgress,
+      courseCompleted: entry.courseCompleted,
+      courseCompletedAt: entry.courseCompletedAt,
+      enrolledAt: entry.enrolledAt,
+      lastAccessedAt: entry.lastAccessedAt
+    })),
+    quizResults: progress.flatMap((entry) =>
+      (entry.completedLevels || [])
+        .filter((level) => level.quizAttempts > 0)
+        .map((level) => ({
+          course: courseSummary(entry.courseId),
+          level: level.levelId
+            ? { id: level.levelId._id, title: level.levelId.title, levelNumber: level.levelId.levelNumber }
+            : null,
+          score: level.quizScore,
+          passed: level.quizPassed,
+          attempts: level.quizAttempts,
+          completed: level.completed,
+          completedAt: level.completedAt
+        }))
+    ),
+    loginHistory: loginHistory.map((event) => ({
+      method: event.method,
+      success: event.success,
+      failureReason: event.failureReason,
+      ipAddress: event.ipAddress,
+      userAgent: event.userAgent,
+      createdAt: event.createdAt
+    }))
+  };
+};
+
+/**
+ * Remove a user and their personal data. Approved payments are kept for accounting but
+ * stripped of the proof upload and free-text notes; the userId left on them no longer
+ * resolves to anyone. Pending and rejected payments carry no revenue and are deleted.
+ */
+const deleteUserAccount = async (user) => {
+  const payments = await Payment.find({ userId: user._id }).select('proofImage');
+  await Promise.all([
+    removeStoredLocalUpload(user.avatar),
+    ...payments.map((payment) => removeStoredLocalUpload(payment.proofImage))
+  ]);
+
+  await Promise.all([
+    Payment.deleteMany({ userId: user._id, status: { $ne: 'approved' } }),
+    Payment.updateMany(
+      { userId: user._id, status: 'approved' },
+      { $set: { proofImage: null, notes: '', rejectionReason: '', anonymizedAt: new Date() } }
+    ),
+    Progress.deleteMany({ userId: user._id }),
+    Session.deleteMany({ userId: user._id }),
+    LoginEvent.deleteMany({ $or: [{ userId: user._id }, { email: user.email }] }),
+    Suspension.deleteMany({ userId: user._id }),
+    ReactivationRequest.deleteMany({ userId: user._id }),
+    AuthThrottle.deleteMany({
+      scope: { $in: ['login_account', 'otp_account'] },
+      identifier: user.email
+    }),
+    Payment.updateMany({ verifiedBy: user._id }, { $set: { verifiedBy: null } }),
+    Course.updateMany({ ownerId: user._id }, { $set: { ownerId: null } }),
+    Course.updateMany({ collaborators: user._id }, { $pull: { collaborators: user._id } }),
+    User.deleteOne({ _id: user._id })
+  ]);
+};
+
+module.exports = {
+  buildUserDataExport,
+  deleteUserAccount
+};
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const { ApiKey } = require('../models');
+
+const API_KEY_PREFIX = 'ak_';
+// Avoid a write on every request: last-used info is refreshed at most once a minute.
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const isApiKeyFormat = (value) => typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+
+/**
+ * Create a key. Returns { apiKey, key }; `key` is the plaintext secret and is never stored.
+ */
+const createApiKey = async ({ name, scopes, expiresAt, createdBy }) => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await ApiKey.create({
+    name,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    keyHash: hashApiKey(key),
+    scopes,
+    expiresAt,
+    createdBy
+  });
+
+  return { apiKey, key };
+};
+
+// Active key for a presented secret (and record its use), or null.
+const findActiveApiKey = async (key, ipAddress) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key) });
+  if (!apiKey || !apiKey.isActive()) return null;
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress || '' } });
+  }
+
+  return apiKey;
+};
+
+module.exports = {
+  isApiKeyFormat,
+  createApiKey,
+  findActiveApiKey
+};
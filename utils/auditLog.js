@@ -0,0 +1,57 @@
+const { AuditLog } = require('../models');
+const { getClientIp } = require('./authThrottle');
+
+// Never copy credentials or one-time secrets into audit snapshots.
+const REDACTED_FIELDS = new Set([
+  'password',
+  'passwordResetOtpHash',
+  'emailVerificationOtpHash',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodeHashes',
+  'refreshTokenHash',
+  'previousRefreshTokenHash'
+]);
+
+/**
+ * Plain-object copy of a document (or of selected fields) suitable for `before`/`after`.
+ */
+const toAuditSnapshot = (doc, fields = null) => {
+  if (!doc) return null;
+  const source = doc.toObject ? doc.toObject({ depopulate: true }) : { ...doc };
+  const keys = fields || Object.keys(source);
+
+  return keys.reduce((snapshot, key) => {
+    if (REDACTED_FIELDS.has(key) || key === '__v' || source[key] === undefined) return snapshot;
+    snapshot[key] = source[key];
+    return snapshot;
+  }, {});
+};
+
+/**
+ * Append an audit entry for the request's user. Failures are logged, not thrown:
+ * the mutation has already happened and the response should reflect that.
+ */
+const recordAudit = async (req, { action, targetType, targetId = null, before = null, after = null }) => {
+  try {
+    await AuditLog.create({
+      actorId: req.user?._id || null,
+      actorEmail: req.user?.email || '',
+      actorRole: req.user?.role || '',
+      action,
+      targetType,
+      targetId: targetId ? targetId.toString() : null,
+      before,
+      after,
+      ipAddress: getClientIp(req),
+      userAgent: (req.get?.('user-agent') || '').slice(0, 500)
+    });
+  } catch (error) {
+    console.error('Audit log write error:', error);
+  }
+};
+
+module.exports = {
+  toAuditSnapshot,
+  recordAudit
+};
@@ -0,0 +1,257 @@
+const { AuthThrottle } = require('../models');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const readPositiveNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const LOGIN_MAX_ACCOUNT_FAILURES = readPositiveNumber(process.env.LOGIN_MAX_ACCOUNT_FAILURES, 5);
+const LOGIN_MAX_IP_FAILURES = readPositiveNumber(process.env.LOGIN_MAX_IP_FAILURES, 25);
+const LOGIN_FAILURE_WINDOW_MINUTES = readPositiveNumber(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 15);
+const LOGIN_BASE_LOCKOUT_MINUTES = readPositiveNumber(process.env.LOGIN_BASE_LOCKOUT_MINUTES, 5);
+const LOGIN_MAX_LOCKOUT_MINUTES = readPositiveNumber(process.env.LOGIN_MAX_LOCKOUT_MINUTES, 24 * 60);
+
+const OTP_REQUEST_COOLDOWN_SECONDS = readPositiveNumber(process.env.OTP_REQUEST_COOLDOWN_SECONDS, 60);
+const OTP_DAILY_ACCOUNT_LIMIT = readPositiveNumber(process.env.OTP_DAILY_ACCOUNT_LIMIT, 5);
+const OTP_DAILY_IP_LIMIT = readPositiveNumber(process.env.OTP_DAILY_IP_LIMIT, 30);
+
+const normalizeIdentifier = (value) => (value || '').toString().trim().toLowerCase();
+
+const getClientIp = (req) => req.ip || req.socket?.remoteAddress || 'unknown';
+
+const buildKey = (scope, identifier) => `${scope}:${identifier}`;
+
+const secondsUntil = (date, now = Date.now()) => Math.max(1, Math.ceil((new Date(date).getTime() - now) / 1000));
+
+// Keep an entry a day past its last meaningful timestamp so lockout history can escalate.
+const computeExpiry = (...dates) => {
+  const latest = Math.max(Date.now(), ...dates.filter(Boolean).map((date) => new Date(date).getTime()));
+  return new Date(latest + DAY_MS);
+};
+
+const findOrCreateEntry = (scope, identifier) =>
+  AuthThrottle.findOneAndUpdate(
+    { key: buildKey(scope, identifier) },
+    {
+      $setOnInsert: {
+        scope,
+        identifier,
+        windowStartedAt: new Date(),
+        expiresAt: computeExpiry()
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+const formatWait = (seconds) => {
+  const minutes = Math.ceil(seconds / 60);
+  return minutes <= 1 ? 'a minute' : `${minutes} minutes`;
+};
+
+/**
+ * Returns the active lockout for this email/IP pair, or null when login may proceed.
+ */
+const getLoginLockout = async ({ email, ipAddress }) => {
+  const keys = [
+    buildKey('login_account', normalizeIdentifier(email)),
+    buildKey('login_ip', ipAddress)
+  ];
+
+  const now = new Date();
+  const locked = await AuthThrottle.find({ key: { $in: keys }, lockedUntil: { $gt: now } })
+    .sort({ lockedUntil: -1 })
+    .limit(1);
+
+  if (!locked.length) return null;
+
+  const retryAfterSeconds = secondsUntil(locked[0].lockedUntil, now.getTime());
+  return {
+    scope: locked[0].scope,
+    lockedUntil: locked[0].lockedUntil,
+    retryAfterSeconds,
+    message: `Too many failed login attempts. Try again in ${formatWait(retryAfterSeconds)}.`
+  };
+};
+
+/**
+ * Count one failure atomically (parallel requests cannot lose increments) and lock the
+ * entry once the returned counter reaches `maxFailures`.
+ */
+const recordFailure = async (scope, identifier, maxFailures) => {
+  const now = new Date();
+  const windowExpired = {
+    $lt: [{ $ifNull: ['$windowStartedAt', new Date(0)] }, new Date(now.getTime() - LOGIN_FAILURE_WINDOW_MINUTES * MINUTE_MS)]
+  };
+
+  const entry = await AuthThrottle.findOneAndUpdate(
+    { key: buildKey(scope, identifier) },
+    [{
+      $set: {
+        scope,
+        identifier,
+        failedAttempts: { $cond: [windowExpired, 1, { $add: [{ $ifNull: ['$failedAttempts', 0] }, 1] }] },
+        windowStartedAt: { $cond: [windowExpired, now, '$windowStartedAt'] },
+        lockoutCount: { $ifNull: ['$lockoutCount', 0] },
+        lastFailureAt: now,
+        expiresAt: { $max: [{ $ifNull: ['$expiresAt', now] }, computeExpiry()] }
+      }
+    }],
+    { upsert: true, new: true }
+  );
+
+  if (entry.failedAttempts < maxFailures) return;
+
+  // Only the request that still sees the full counter applies the lockout; it resets the
+  // counter, so concurrent failures cannot lock (and escalate) twice.
+  const lockoutMinutes = Math.min(
+    LOGIN_BASE_LOCKOUT_MINUTES * 2 ** entry.lockoutCount,
+    LOGIN_MAX_LOCKOUT_MINUTES
+  );
+  const lockedUntil = new Date(now.getTime() + lockoutMinutes * MINUTE_MS);
+  await AuthThrottle.updateOne(
+    { _id: entry._id, failedAttempts: { $gte: maxFailures }, lockoutCount: entry.lockoutCount },
+    {
+      $set: {
+        lockedUntil,
+        failedAttempts: 0,
+        windowStartedAt: now,
+        expiresAt: computeExpiry(lockedUntil)
+      },
+      $inc: { lockoutCount: 1 }
+    }
+  );
+};
+
+const recordLoginFailure = async ({ email, ipAddress }) => {
+  const identifier = normalizeIdentifier(email);
+  await Promise.all([
+    identifier ? recordFailure('login_account', identifier, LOGIN_MAX_ACCOUNT_FAILURES) : null,
+    recordFailure('login_ip', ipAddress, LOGIN_MAX_IP_FAILURES)
+  ]);
+};
+
+// Call only after a fully completed sign-in (every factor checked): a correct password
+// alone must not reset the guesses left for the second factor. The failure counter is
+// cleared but lockoutCount is kept so repeated lockouts still escalate. IP counters are
+// left alone on purpose, otherwise an attacker could reset them by logging into an
+// account of their own.
+const recordLoginSuccess = async ({ email }) => {
+  await AuthThrottle.updateOne(
+    { key: buildKey('login_account', normalizeIdentifier(email)) },
+    { $set: { failedAttempts: 0, windowStartedAt: new Date() } }
+  );
+};
+
+// Start a new daily window on an OTP entry whose window has ended (atomic, so a
+// concurrent request cannot reset a window another request just counted in).
+const rollOtpWindow = (entry, now) =>
+  AuthThrottle.updateOne(
+    { _id: entry._id, windowStartedAt: { $lte: new Date(now.getTime() - DAY_MS) } },
+    { $set: { requestCount: 0, windowStartedAt: now } }
+  );
+
+// Count one OTP request on the entry if it is under `limit` (and, for the account entry,
+// past the cooldown). Returns the entry as it was before the claim, or null when refused.
+const claimOtpRequest = (entry, limit, now, cooldownSeconds = 0) => {
+  const filter = { _id: entry._id, requestCount: { $lt: limit } };
+  if (cooldownSeconds) {
+    filter.$or = [
+      { lastRequestAt: null },
+      { lastRequestAt: { $lte: new Date(now.getTime() - cooldownSeconds * 1000) } }
+    ];
+  }
+
+  return AuthThrottle.findOneAndUpdate(
+    filter,
+    [{
+      $set: {
+        requestCount: { $add: [{ $ifNull: ['$requestCount', 0] }, 1] },
+        lastRequestAt: now,
+        expiresAt: { $add: ['$windowStartedAt', 2 * DAY_MS] }
+      }
+    }],
+    { new: false }
+  );
+};
+
+const buildOtpRefusal = (entry, now, isAccount) => {
+  const cooldownEndsAt = isAccount && entry.lastRequestAt
+    ? new Date(entry.lastRequestAt.getTime() + OTP_REQUEST_COOLDOWN_SECONDS * 1000)
+    : null;
+
+  if (cooldownEndsAt && cooldownEndsAt > now) {
+    const retryAfterSeconds = secondsUntil(cooldownEndsAt, now.getTime());
+    return {
+      allowed: false,
+      retryAfterSeconds,
+      message: `Please wait ${retryAfterSeconds} seconds before requesting another code.`
+    };
+  }
+
+  const windowEndsAt = new Date(entry.windowStartedAt.getTime() + DAY_MS);
+  return {
+    allowed: false,
+    retryAfterSeconds: secondsUntil(windowEndsAt, now.getTime()),
+    message: 'Daily limit for verification codes reached. Please try again tomorrow.'
+  };
+};
+
+/**
+ * Apply the per-account cooldown and daily caps for emails carrying one-time codes.
+ * Counts the request when allowed; returns { allowed: false, retryAfterSeconds, message } otherwise.
+ * Each counter is claimed with a conditional update, so a burst of parallel requests
+ * cannot get past the caps.
+ */
+const consumeOtpRequest = async ({ email, ipAddress }) => {
+  const identifier = normalizeIdentifier(email);
+  const [accountEntry, ipEntry] = await Promise.all([
+    findOrCreateEntry('otp_account', identifier),
+    findOrCreateEntry('otp_ip', ipAddress)
+  ]);
+
+  const now = new Date();
+  await Promise.all([rollOtpWindow(accountEntry, now), rollOtpWindow(ipEntry, now)]);
+
+  const previousAccount = await claimOtpRequest(
+    accountEntry,
+    OTP_DAILY_ACCOUNT_LIMIT,
+    now,
+    OTP_REQUEST_COOLDOWN_SECONDS
+  );
+  if (!previousAccount) {
+    const current = await AuthThrottle.findById(accountEntry._id);
+    return buildOtpRefusal(current || accountEntry, now, true);
+  }
+
+  const previousIp = await claimOtpRequest(ipEntry, OTP_DAILY_IP_LIMIT, now);
+  if (!previousIp) {
+    // Give the account its request back; the email is not sent.
+    await AuthThrottle.updateOne(
+      { _id: accountEntry._id },
+      { $inc: { requestCount: -1 }, $set: { lastRequestAt: previousAccount.lastRequestAt || null } }
+    );
+    const current = await AuthThrottle.findById(ipEntry._id);
+    return buildOtpRefusal(current || ipEntry, now, false);
+  }
+
+  return { allowed: true };
+};
+
+// Respond with 429 + Retry-After for a blocked login or OTP request.
+const sendThrottled = (res, { retryAfterSeconds, message }, code) =>
+  res
+    .status(429)
+    .set('Retry-After', String(retryAfterSeconds))
+    .json({ message, code, retryAfterSeconds });
+
+module.exports = {
+  getClientIp,
+  getLoginLockout,
+  recordLoginFailure,
+  recordLoginSuccess,
+  consumeOtpRequest,
+  sendThrottled
+};
@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const { Course, Category, Level, Payment, Progress } = require('../models');
+const { manageableCoursesFilter } = require('./coursePermissions');
+
+// Facet lists longer than this are cut off (tags can grow without bound).
+const MAX_FACET_VALUES = 50;
+
+// Courses created before the taxonomy fields existed have no language/difficulty
+// stored; they count as the schema defaults.
+const DEFAULT_LANGUAGE = 'en';
+const DEFAULT_DIFFICULTY = 'all_levels';
+
+const withLegacyDefault = (values, defaultValue) =>
+  (values.includes(defaultValue) ? [...values, null] : values);
+
+/**
+ * Courses a user may find in the catalog: students see published courses, instructors
+ * also their own (any status), admins everything.
+ */
+const catalogVisibilityFilter = (user) => {
+  if (user?.role === 'admin') return {};
+  if (user?.role === 'instructor') {
+    return { $or: [{ status: 'published' }, ...manageableCoursesFilter(user).$or] };
+  }
+  return { status: 'published' };
+};
+
+// Accepts `a,b` or repeated query params (`?tag=a&tag=b`).
+const splitList = (value) =>
+  (Array.isArray(value) ? value : [value])
+    .flatMap((item) => (item ?? '').toString().split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Turn catalog query params (category, tag, language, difficulty, price) into Mongo
+ * conditions keyed by facet, so facet counts can leave out their own filter.
+ * Categories may be given by id or slug.
+ */
+const parseCatalogFilters = async (query = {}) => {
+  const filters = {};
+
+  const categoryValues = splitList(query.category);
+  if (categoryValues.length) {
+    const ids = categoryValues.filter((value) => mongoose.Types.ObjectId.isValid(value));
+    const slugs = categoryValues.map((value) => value.toLowerCase());
+    const categories = await Category.find({ $or: [{ _id: { $in: ids } }, { slug: { $in: slugs } }] }).select('_id');
+    filters.category = { category: { $in: categories.map((category) => category._id) } };
+  }
+
+  const tags = splitList(query.tag || query.tags).map((tag) => tag.toLowerCase());
+  if (tags.length) {
+    filters.tags = { tags: { $in: tags } };
+  }
+
+  const languages = splitList(query.language);
+  if (languages.length) {
+    filters.language = { language: { $in: withLegacyDefault(languages, DEFAULT_LANGUAGE) } };
+  }
+
+  const difficulties = splitList(query.difficulty);
+  if (difficulties.length) {
+    const validDifficulties = difficulties.filter((value) => Course.DIFFICULTIES.includes(value));
+    filters.difficulty = { difficulty: { $in: withLegacyDefault(validDifficulties, DEFAULT_DIFFICULTY) } };
+  }
+
+  if (query.price === 'free') {
+    filters.price = { price: 0 };
+  } else if (query.price === 'paid') {
+    filters.price = { price: { $gt: 0 } };
+  }
+
+  return filters;
+};
+
+// Base visibility query AND every facet filter except `exceptKey`.
+const combineCatalogFilters = (baseQuery, filters, exceptKey = null) => {
+  const clauses = Object.entries(filters)
+    .filter(([key]) => key !== exceptKey)
+    .map(([, clause]) => clause);
+  return clauses.length ? { $and: [baseQuery, ...clauses] } : baseQuery;
+};
+
+const countBy = (field) => [
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: MAX_FACET_VALUES }
+];
+
+/**
+ * Facet counts for the storefront sidebar. Each facet is counted with all other
+ * active filters applied but not its own, so selecting one category still shows
+ * how many courses the other categories have.
+ */
+const getCatalogFacets = async (baseQuery, filters) => {
+  const branch = (key, stages) => [{ $match: combineCatalogFilters({}, filters, key) }, ...stages];
+
+  const [result] = await Course.aggregate([
+    { $match: baseQuery },
+    {
+      $facet: {
+        categories: branch('category', countBy('$category')),
+        tags: branch('tags', [{ $unwind: '$tags' }, ...countBy('$tags')]),
+        languages: branch('language', countBy({ $ifNull: ['$language', DEFAULT_LANGUAGE] })),
+        difficulties: branch('difficulty', countBy({ $ifNull: ['$difficulty', DEFAULT_DIFFICULTY] })),
+        price: branch('price', countBy({ $cond: [{ $gt: ['$price', 0] }, 'paid', 'free'] }))
+      }
+    }
+  ]);
+
+  const categoryIds = result.categories.map((entry) => entry._id).filter(Boolean);
+  const categories = await Category.find({ _id: { $in: categoryIds } })
+    .select('name slug sortOrder')
+    .lean();
+  const categoriesById = new Map(categories.map((category) => [category._id.toString(), category]));
+
+  return {
+    categories: result.categories
+      .filter((entry) => entry._id && categoriesById.has(entry._id.toString()))
+      .map((entry) => {
+        const category = categoriesById.get(entry._id.toString());
+        return { id: category._id, name: category.name, slug: category.slug, count: entry.count };
+      })
+      .sort((a, b) =>
+        (categoriesById.get(a.id.toString()).sortOrder - categoriesById.get(b.id.toString()).sortOrder) ||
+        a.name.localeCompare(b.name)),
+    uncategorized: result.categories.find((entry) => !entry._id)?.count || 0,
+    tags: result.tags.map((entry) => ({ value: entry._id, count: entry.count })),
+    languages: result.languages.map((entry) => ({ value: entry._id, count: entry.count })),
+    difficulties: result.difficulties.map((entry) => ({ value: entry._id, count: entry.count })),
+    price: {
+      free: result.price.find((entry) => entry._id === 'free')?.count || 0,
+      paid: result.price.find((entry) => entry._id === 'paid')?.count || 0
+    }
+  };
+};
+
+// `popular` ranks by enrolled learners (progress records). Ties fall back to newest.
+const CATALOG_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  price_asc: { price: 1, createdAt: -1, _id: -1 },
+  price_desc: { price: -1, createdAt: -1, _id: -1 },
+  popular: { enrollmentCount: -1, createdAt: -1, _id: -1 }
+};
+
+const countLookup = (Model, as) => [
+  {
+    $lookup: {
+      from: Model.collection.name,
+      let: { courseId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$courseId', '$$courseId'] } } },
+        { $count: 'count' }
+      ],
+      as
+    }
+  },
+  { $set: { [as]: { $ifNull: [{ $first: `$${as}.count` }, 0] } } }
+];
+
+// The user's own payment/progress for the course (at most one of each).
+const userRecordLookup = (Model, userId, fields, as) => ({
+  $lookup: {
+    from: Model.collection.name,
+    let: { courseId: '$_id' },
+    pipeline: [
+      { $match: { $expr: { $and: [{ $eq: ['$courseId', '$$courseId'] }, { $eq: ['$userId', userId] }] } } },
+      { $project: fields },
+      { $limit: 1 }
+    ],
+    as
+  }
+});
+
+/**
+ * One page of catalog courses with level counts, enrollment counts and the user's
+ * payment/progress joined in a single aggregation. Returns { courses, total }; each
+ * course is a plain object with `levelCount`, `enrollmentCount`, `userPayment`,
+ * `userProgress` and a `categoryInfo` ({ _id, name, slug } or null).
+ */
+const listCatalogCourses = async ({ match, userId, sort = 'newest', skip = 0, limit = 20 }) => {
+  const enrollmentLookup = countLookup(Progress, 'enrollmentCount');
+
+  const [result] = await Course.aggregate([
+    { $match: match },
+    // Popularity has to be known for every match before sorting; otherwise it is
+    // only computed for the returned page.
+    ...(sort === 'popular' ? enrollmentLookup : []),
+    { $sort: CATALOG_SORTS[sort] || CATALOG_SORTS.newest },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        courses: [
+          { $skip: skip },
+          { $limit: limit },
+          ...(sort === 'popular' ? [] : enrollmentLookup),
+          ...countLookup(Level, 'levelCount'),
+          userRecordLookup(Payment, userId, { status: 1 }, 'userPayment'),
+          userRecordLookup(Progress, userId, { totalProgress: 1 }, 'userProgress'),
+          {
+            $lookup: {
+              from: Category.collection.name,
+              localField: 'category',
+              foreignField: '_id',
+              pipeline: [{ $project: { name: 1, slug: 1 } }],
+              as: 'categoryInfo'
+            }
+          },
+          {
+            $set: {
+              userPayment: { $first: '$userPayment' },
+              userProgress: { $first: '$userProgress' },
+              categoryInfo: { $ifNull: [{ $first: '$categoryInfo' }, null] }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    courses: result.courses,
+    total: result.total[0]?.count || 0
+  };
+};
+
+module.exports = {
+  CATALOG_SORTS,
+  listCatalogCourses,
+  catalogVisibilityFilter,
+  parseCatalogFilters,
+  combineCatalogFilters,
+  getCatalogFacets
+};
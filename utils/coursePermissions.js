@@ -0,0 +1,50 @@
+const { Course } = require('../models');
+
+// Course-level permissions for admins and instructors.
+// Admins manage every course; instructors only courses they own or collaborate on.
+
+const toIdString = (value) => (value?._id || value)?.toString();
+
+const isCourseOwner = (user, course) => {
+  if (!user || !course) return false;
+  if (user.role === 'admin') return true;
+  return user.role === 'instructor' && toIdString(course.ownerId) === user._id.toString();
+};
+
+const isCourseManager = (user, course) => {
+  if (!user || !course) return false;
+  if (isCourseOwner(user, course)) return true;
+  if (user.role !== 'instructor') return false;
+
+  const userId = user._id.toString();
+  return (course.collaborators || []).some((collaborator) => toIdString(collaborator) === userId);
+};
+
+// Mongo filter for the courses a user may manage (null = no courses).
+const manageableCoursesFilter = (user) => {
+  if (user?.role === 'admin') return {};
+  if (user?.role === 'instructor') {
+    return { $or: [{ ownerId: user._id }, { collaborators: user._id }] };
+  }
+  return null;
+};
+
+const canManageCourseById = async (user, courseId) => {
+  if (!courseId) return false;
+  const course = await Course.findById(courseId).select('ownerId collaborators');
+  return isCourseManager(user, course);
+};
+
+const sendCoursePermissionDenied = (res) =>
+  res.status(403).json({
+    message: 'You can only manage courses you own or collaborate on.',
+    code: 'COURSE_PERMISSION_DENIED'
+  });
+
+module.exports = {
+  isCourseOwner,
+  isCourseManager,
+  manageableCoursesFilter,
+  canManageCourseById,
+  sendCoursePermissionDenied
+};
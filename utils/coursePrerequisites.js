@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const { Course, Progress } = require('../models');
+
+// Follow the prerequisite chains from `prerequisiteIds`; reaching `courseId` means a cycle.
+const createsPrerequisiteCycle = async (courseId, prerequisiteIds) => {
+  const target = courseId.toString();
+  const seen = new Set();
+  let frontier = prerequisiteIds.map(String);
+
+  while (frontier.length) {
+    if (frontier.includes(target)) return true;
+    frontier.forEach((id) => seen.add(id));
+
+    const courses = await Course.find({ _id: { $in: frontier } }).select('prerequisites').lean();
+    frontier = Array.from(new Set(
+      courses.flatMap((course) => (course.prerequisites || []).map(String))
+    )).filter((id) => !seen.has(id));
+  }
+
+  return false;
+};
+
+/**
+ * Normalize `prerequisites` (course ids, array or comma-separated) and `prerequisitePolicy`
+ * from a create/update body. Only fields present in the body are returned. `courseId` is
+ * the course being updated, used to reject self references and cycles.
+ */
+const parseCoursePrerequisites = async (body = {}, courseId = null) => {
+  const fields = {};
+
+  if (body.prerequisites !== undefined) {
+    const rawIds = Array.isArray(body.prerequisites)
+      ? body.prerequisites
+      : (body.prerequisites ?? '').toString().split(',');
+    const ids = Array.from(new Set(rawIds.map((id) => (id ?? '').toString().trim()).filter(Boolean)));
+
+    if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'Prerequisites must be a list of course IDs' };
+    }
+    if (ids.length > Course.MAX_PREREQUISITES) {
+      return { error: `A course can have at most ${Course.MAX_PREREQUISITES} prerequisites` };
+    }
+    if (courseId && ids.includes(courseId.toString())) {
+      return { error: 'A course cannot be its own prerequisite' };
+    }
+
+    const existing = await Course.countDocuments({ _id: { $in: ids } });
+    if (existing !== ids.length) {
+      return { error: 'Prerequisite course not found' };
+    }
+    if (courseId && await createsPrerequisiteCycle(courseId, ids)) {
+      return { error: 'Prerequisites cannot depend on this course' };
+    }
+
+    fields.prerequisites = ids;
+  }
+
+  if (body.prerequisitePolicy !== undefined) {
+    if (!Course.PREREQUISITE_POLICIES.includes(body.prerequisitePolicy)) {
+      return { error: `Prerequisite policy must be one of: ${Course.PREREQUISITE_POLICIES.join(', ')}` };
+    }
+    fields.prerequisitePolicy = body.prerequisitePolicy;
+  }
+
+  return { fields };
+};
+
+/**
+ * The course's published prerequisites, in the order the course lists them, with the user's
+ * status in each: `completed`, `in_progress` or `not_started`. Draft and archived
+ * prerequisites are left out since students cannot take them.
+ */
+const getPrerequisiteStatus = async (course, userId) => {
+  const ids = (course.prerequisites || []).map((id) => (id?._id || id).toString());
+  if (!ids.length) return [];
+
+  const [courses, progressRecords] = await Promise.all([
+    Course.find({ _id: { $in: ids }, status: 'published' }).select('title thumbnail price').lean(),
+    Progress.find({ userId, courseId: { $in: ids } }).select('courseId courseCompleted totalProgress').lean()
+  ]);
+
+  const progressByCourse = new Map(progressRecords.map((progress) => [progress.courseId.toString(), progress]));
+  const order = new Map(ids.map((id, index) => [id, index]));
+
+  return courses
+    .sort((a, b) => order.get(a._id.toString()) - order.get(b._id.toString()))
+    .map((prerequisite) => {
+      const progress = progressByCourse.get(prerequisite._id.toString());
+      return {
+        _id: prerequisite._id,
+        title: prerequisite.title,
+        thumbnail: prerequisite.thumbnail,
+        price: prerequisite.price,
+        status: progress?.courseCompleted ? 'completed' : progress ? 'in_progress' : 'not_started',
+        progress: progress?.courseCompleted ? 100 : progress?.totalProgress || 0
+      };
+    });
+};
+
+const getMissingPrerequisites = (prerequisites) =>
+  prerequisites.filter((prerequisite) => prerequisite.status !== 'completed');
+
+/**
+ * Free courses have no payment step, so their required prerequisites are checked when the
+ * course is opened instead. Students who already started the course keep access. Pass
+ * `prerequisites` when the caller already loaded them with getPrerequisiteStatus.
+ */
+const isFreeCourseLocked = async (course, userId, prerequisites = null) => {
+  if (course.price !== 0 || course.prerequisitePolicy !== 'required' || !course.prerequisites?.length) {
+    return false;
+  }
+  if (await Progress.exists({ userId, courseId: course._id })) return false;
+
+  const status = prerequisites || await getPrerequisiteStatus(course, userId);
+  return getMissingPrerequisites(status).length > 0;
+};
+
+module.exports = {
+  parseCoursePrerequisites,
+  getPrerequisiteStatus,
+  getMissingPrerequisites,
+  isFreeCourseLocked
+};
@@ -0,0 +1,25 @@
+const { Course } = require('../models');
+
+/**
+ * Refresh the progress percentage and mark the course completed once every level is done.
+ * The cached `course.totalLevels` is trusted for the percentage, but a counter that is
+ * missing (0) or would complete the course is recomputed with syncLevelStats first, so a
+ * stale value never finishes a course early.
+ */
+const updateCourseCompletion = async (progress, course) => {
+  let { totalLevels } = course;
+  if (!(totalLevels > 0) || progress.currentLevel > totalLevels) {
+    ({ totalLevels } = await Course.syncLevelStats(course._id));
+  }
+
+  progress.calculateProgress(totalLevels);
+  if (totalLevels > 0 && progress.currentLevel > totalLevels) {
+    progress.courseCompleted = true;
+    progress.courseCompletedAt = Date.now();
+    progress.totalProgress = 100;
+  }
+};
+
+module.exports = {
+  updateCourseCompletion
+};
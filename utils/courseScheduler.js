@@ -0,0 +1,97 @@
+const { Course } = require('../models');
+const { recordAudit } = require('./auditLog');
+
+// Seconds between scheduler runs; 0 disables the scheduler (e.g. on extra API replicas).
+const parsedInterval = Number(process.env.COURSE_SCHEDULER_INTERVAL_SECONDS);
+const COURSE_SCHEDULER_INTERVAL_SECONDS =
+  Number.isFinite(parsedInterval) && parsedInterval >= 0 ? parsedInterval : 60;
+
+// Audit entries written by the scheduler have no user behind them.
+const SCHEDULER_REQUEST = { user: { _id: null, email: '', role: 'scheduler' } };
+
+/**
+ * Apply one kind of due transition. Each course is updated with a guarded query, so a
+ * course changed (or handled by another instance) in the meantime is left alone.
+ */
+const applyDueTransition = async ({ filter, update, action, now }) => {
+  const dueCourses = await Course.find(filter).select('_id status').lean();
+  let applied = 0;
+
+  for (const due of dueCourses) {
+    const course = await Course.findOneAndUpdate(
+      { ...filter, _id: due._id },
+      { $set: update },
+      { new: true }
+    );
+    if (!course) continue;
+
+    applied += 1;
+    await recordAudit(SCHEDULER_REQUEST, {
+      action,
+      targetType: 'course',
+      targetId: course._id,
+      before: { status: due.status },
+      after: { status: course.status, appliedAt: now }
+    });
+  }
+
+  return applied;
+};
+
+/**
+ * Publish drafts whose publishAt has passed, then archive courses whose archiveAt has passed.
+ */
+const applyCourseSchedules = async (now = new Date()) => {
+  const published = await applyDueTransition({
+    filter: { status: 'draft', publishAt: { $ne: null, $lte: now } },
+    update: { status: 'published', publishAt: null },
+    action: 'course.scheduled_publish',
+    now
+  });
+
+  const archived = await applyDueTransition({
+    filter: { status: { $in: ['draft', 'published'] }, archiveAt: { $ne: null, $lte: now } },
+    update: { status: 'archived', publishAt: null, archiveAt: null },
+    action: 'course.scheduled_archive',
+    now
+  });
+
+  return { published, archived };
+};
+
+/**
+ * Run applyCourseSchedules now and then every COURSE_SCHEDULER_INTERVAL_SECONDS.
+ * Returns the timer, or null when the scheduler is disabled.
+ */
+const startCourseScheduler = () => {
+  if (!COURSE_SCHEDULER_INTERVAL_SECONDS) {
+    console.log('Course scheduler disabled (COURSE_SCHEDULER_INTERVAL_SECONDS=0)');
+    return null;
+  }
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { published, archived } = await applyCourseSchedules();
+      if (published || archived) {
+        console.log(`[scheduler] Courses published=${published}, archived=${archived}`);
+      }
+    } catch (error) {
+      console.error('Course scheduler error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  void run();
+  const timer = setInterval(run, COURSE_SCHEDULER_INTERVAL_SECONDS * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  applyCourseSchedules,
+  startCourseScheduler
+};
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { Invitation, User } = require('../models');
+const { sendInvitationEmail } = require('./mail');
+
+const readPositiveNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const DEFAULT_EXPIRY_HOURS = readPositiveNumber(process.env.INVITATION_EXPIRY_HOURS, 72);
+const MAX_EXPIRY_HOURS = 30 * 24;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Link to the frontend page that collects name/password and calls POST /auth/invitations/accept.
+const buildAcceptUrl = (token) => {
+  const base = (process.env.INVITATION_ACCEPT_URL || '').trim() ||
+    `${(process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '')}/accept-invite`;
+  return `${base}${base.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+};
+
+const resolveExpiryHours = (value) => {
+  if (value === undefined || value === null || value === '') return DEFAULT_EXPIRY_HOURS;
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_EXPIRY_HOURS) return null;
+  return hours;
+};
+
+/**
+ * Create an invitation and email its link. Earlier pending invitations for the same
+ * address are revoked so only the newest link works.
+ * Returns { invitation, emailSent }.
+ */
+const createInvitation = async ({ email, role, expiresInHours, inviter }) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+
+  await Invitation.updateMany(
+    { email, acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, revokedBy: inviter._id } }
+  );
+
+  const invitation = await Invitation.create({
+    email,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy: inviter._id,
+    expiresAt: new Date(now.getTime() + expiresInHours * 60 * 60 * 1000)
+  });
+
+  let emailSent = false;
+  try {
+    const result = await sendInvitationEmail({
+      to: invitation.email,
+      inviterName: inviter.name,
+      role: invitation.role,
+      acceptUrl: buildAcceptUrl(token),
+      expiresAt: invitation.expiresAt
+    });
+    emailSent = !result?.skipped;
+  } catch (error) {
+    console.error('Invitation email error:', error.message);
+  }
+
+  return { invitation, emailSent };
+};
+
+// Pending (not accepted, revoked or expired) invitation for a raw token, or null.
+const findPendingInvitation = async (token) => {
+  if (!token) return null;
+  return Invitation.findOne({
+    tokenHash: hashToken(token.toString()),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+/**
+ * Consume an invitation and create the invited account.
+ * Returns { user } or { error, status } when the token is unusable or the email is taken.
+ */
+const acceptInvitation = async ({ token, name, password }) => {
+  const pending = await findPendingInvitation(token);
+  if (!pending) {
+    return { status: 400, error: 'Invitation is invalid, expired or already used' };
+  }
+
+  if (await User.exists({ email: pending.email })) {
+    return { status: 409, error: 'An account with this email already exists' };
+  }
+
+  // Claim the token atomically so two concurrent requests cannot both use it.
+  const invitation = await Invitation.findOneAndUpdate(
+    { _id: pending._id, acceptedAt: null, revokedAt: null },
+    { $set: { acceptedAt: new Date() } },
+    { new: true }
+  );
+  if (!invitation) {
+    return { status: 400, error: 'Invitation is invalid, expired or already used' };
+  }
+
+  try {
+    // The invitation link proves ownership of the address.
+    const user = await User.create({
+      name,
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      emailVerified: true
+    });
+
+    invitation.acceptedBy = user._id;
+    await invitation.save();
+
+    return { user, invitation };
+  } catch (error) {
+    // Give the token back when the account could not be created (e.g. validation errors).
+    await Invitation.updateOne({ _id: invitation._id }, { $set: { acceptedAt: null } });
+    throw error;
+  }
+};
+
+module.exports = {
+  resolveExpiryHours,
+  createInvitation,
+  findPendingInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,77 @@
+const { LoginEvent } = require('../models');
+const { sendNewDeviceLoginEmail } = require('./mail');
+const { getClientIp } = require('./authThrottle');
+
+// Set NEW_DEVICE_LOGIN_ALERTS=false to keep recording history without emailing users.
+const NEW_DEVICE_ALERTS_ENABLED = process.env.NEW_DEVICE_LOGIN_ALERTS !== 'false';
+
+const LOGIN_EVENT_FIELDS = 'method success failureReason ipAddress userAgent newDevice createdAt';
+
+const getUserAgent = (req) => (req.get?.('user-agent') || '').toString().slice(0, 500);
+
+// A device is "new" when this user agent has never signed in to the account before.
+// The very first login of an account is not treated as new; there is nothing to compare with.
+const isNewDevice = async (userId, userAgent) => {
+  const [hasHistory, seenBefore] = await Promise.all([
+    LoginEvent.exists({ userId, success: true }),
+    LoginEvent.exists({ userId, success: true, userAgent })
+  ]);
+  return Boolean(hasHistory) && !seenBefore;
+};
+
+const sendNewDeviceAlert = async (user, event) => {
+  try {
+    await sendNewDeviceLoginEmail({
+      to: user.email,
+      userName: user.name,
+      loginAt: event.createdAt,
+      timezone: user.timezone,
+      ipAddress: event.ipAddress,
+      userAgent: event.userAgent,
+      method: event.method
+    });
+  } catch (error) {
+    console.error('New device alert mail error:', error);
+  }
+};
+
+/**
+ * Record a sign-in attempt. Pass `user` when the account is known, otherwise `email`.
+ * Successful logins from a new device trigger an email alert (sent in the background).
+ * Failures are logged, not thrown, so login never breaks because of history.
+ */
+const recordLoginEvent = async (req, { user = null, email = '', method, success, failureReason = null }) => {
+  try {
+    const userAgent = getUserAgent(req);
+    const newDevice = Boolean(success && user && await isNewDevice(user._id, userAgent));
+
+    const event = await LoginEvent.create({
+      userId: user?._id || null,
+      email: user?.email || (email || '').toString().trim().toLowerCase(),
+      method,
+      success,
+      failureReason: success ? null : failureReason,
+      ipAddress: getClientIp(req),
+      userAgent,
+      newDevice
+    });
+
+    if (newDevice && NEW_DEVICE_ALERTS_ENABLED) {
+      sendNewDeviceAlert(user, event);
+    }
+  } catch (error) {
+    console.error('Login history write error:', error);
+  }
+};
+
+const getLoginHistory = (userId, { limit = 20, skip = 0 } = {}) =>
+  LoginEvent.find({ userId })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .select(LOGIN_EVENT_FIELDS);
+
+module.exports = {
+  recordLoginEvent,
+  getLoginHistory
+};
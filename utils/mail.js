@@ -10,6 +10,14 @@ const parseBoolean = (value, fallback = false) => {
 
 const normalizeAddress = (value) => (typeof value === 'string' ? value.trim() : '');
 const isAbsoluteHttpUrl = (value) => typeof value === 'string' && /^https?:\/\//i.test(value.trim());
+// For client-supplied values (e.g. user agents) placed into HTML bodies.
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
 
 const mailProvider = (process.env.MAIL_PROVIDER || '').trim().toLowerCase();
 const mailFrom = normalizeAddress(process.env.MAIL_FROM || process.env.MAIL_USER || process.env.SMTP_USER || '');
@@ -321,11 +329,175 @@ const sendPasswordResetOtpEmail = async ({ to, userName, otpCode, expiresInMinut
   return sendMail({ to, subject, text, html });
 };
 
+const sendEmailVerificationOtpEmail = async ({ to, userName, otpCode, expiresInMinutes = 30 }) => {
+  const subject = 'Verify your email address';
+  const text = [
+    `Hi ${userName || 'Learner'},`,
+    '',
+    'Please confirm this email address for your account.',
+    `Your verification code is: ${otpCode}`,
+    `This code will expire in ${expiresInMinutes} minutes.`,
+    '',
+    'If you did not create an account, you can ignore this email.'
+  ].join('\n');
+
+  const html = `
+    <p>Hi ${userName || 'Learner'},</p>
+    <p>Please confirm this email address for your account.</p>
+    <p><strong>Your verification code is: ${otpCode}</strong></p>
+    <p>This code will expire in <strong>${expiresInMinutes} minutes</strong>.</p>
+    <p>If you did not create an account, you can ignore this email.</p>
+  `;
+
+  return sendMail({ to, subject, text, html });
+};
+
+const sendEmailChangeOtpEmail = async ({ to, userName, otpCode, expiresInMinutes = 30 }) => {
+  const subject = 'Confirm your new email address';
+  const text = [
+    `Hi ${userName || 'Learner'},`,
+    '',
+    'You asked to use this address for your account.',
+    `Your confirmation code is: ${otpCode}`,
+    `This code will expire in ${expiresInMinutes} minutes.`,
+    '',
+    'If you did not request this, you can ignore this email.'
+  ].join('\n');
+
+  const html = `
+    <p>Hi ${userName || 'Learner'},</p>
+    <p>You asked to use this address for your account.</p>
+    <p><strong>Your confirmation code is: ${otpCode}</strong></p>
+    <p>This code will expire in <strong>${expiresInMinutes} minutes</strong>.</p>
+    <p>If you did not request this, you can ignore this email.</p>
+  `;
+
+  return sendMail({ to, subject, text, html });
+};
+
+const sendEmailChangeNoticeEmail = async ({ to, userName, newEmail, cancelUrl, revertDays = 7 }) => {
+  const subject = 'Your account email is being changed';
+  const text = [
+    `Hi ${userName || 'Learner'},`,
+    '',
+    `A request was made to change your account email to ${newEmail}.`,
+    'The change takes effect once the new address is confirmed.',
+    '',
+    `If this was not you, cancel the change here: ${cancelUrl}`,
+    `The same link restores this address for ${revertDays} days after the change is confirmed.`,
+    'Then change your password.'
+  ].join('\n');
+
+  const html = `
+    <p>Hi ${userName || 'Learner'},</p>
+    <p>A request was made to change your account email to <strong>${newEmail}</strong>.</p>
+    <p>The change takes effect once the new address is confirmed.</p>
+    <p>If this was not you, <a href="${cancelUrl}">cancel the change</a> and then change your password.</p>
+    <p>The same link restores this address for ${revertDays} days after the change is confirmed.</p>
+  `;
+
+  return sendMail({ to, subject, text, html });
+};
+
+const sendMagicLinkEmail = async ({ to, userName, loginUrl, expiresInMinutes = 15 }) => {
+  const subject = 'Your sign-in link';
+  const text = [
+    `Hi ${userName || 'Learner'},`,
+    '',
+    'Use the link below to sign in without a password:',
+    loginUrl,
+    `This link works once and will expire in ${expiresInMinutes} minutes.`,
+    '',
+    'If you did not request this, you can ignore this email.'
+  ].join('\n');
+
+  const html = `
+    <p>Hi ${userName || 'Learner'},</p>
+    <p>Use the link below to sign in without a password:</p>
+    <p><a href="${loginUrl}"><strong>Sign in</strong></a></p>
+    <p>This link works once and will expire in <strong>${expiresInMinutes} minutes</strong>.</p>
+    <p>If you did not request this, you can ignore this email.</p>
+  `;
+
+  return sendMail({ to, subject, text, html });
+};
+
+const sendInvitationEmail = async ({ to, inviterName, role, acceptUrl, expiresAt }) => {
+  const roleLabel = role === 'admin' ? 'an admin' : 'an instructor';
+  const expiresText = new Date(expiresAt).toLocaleString('en-IN', {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+  const subject = `You're invited to join as ${roleLabel}`;
+  const text = [
+    'Hi,',
+    '',
+    `${inviterName || 'An administrator'} has invited you to join the platform as ${roleLabel}.`,
+    `Accept the invitation and set your password here: ${acceptUrl}`,
+    `This invitation can be used once and expires on ${expiresText}.`,
+    '',
+    'If you were not expecting this, you can ignore this email.'
+  ].join('\n');
+
+  const html = `
+    <p>Hi,</p>
+    <p>${inviterName || 'An administrator'} has invited you to join the platform as <strong>${roleLabel}</strong>.</p>
+    <p><a href="${acceptUrl}">Accept the invitation and set your password</a></p>
+    <p>This invitation can be used once and expires on <strong>${expiresText}</strong>.</p>
+    <p>If you were not expecting this, you can ignore this email.</p>
+  `;
+
+  return sendMail({ to, subject, text, html });
+};
+
+const sendNewDeviceLoginEmail = async ({ to, userName, loginAt, timezone, ipAddress, userAgent, method }) => {
+  const loginAtText = new Date(loginAt).toLocaleString('en-IN', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: timezone || 'Asia/Kolkata'
+  });
+  const device = userAgent || 'Unknown device';
+  const subject = 'New sign-in to your account';
+  const text = [
+    `Hi ${userName || 'Learner'},`,
+    '',
+    'Your account was just signed in from a new device:',
+    `Time: ${loginAtText}`,
+    `IP address: ${ipAddress || 'unknown'}`,
+    `Device: ${device}`,
+    `Method: ${method}`,
+    '',
+    'If this was you, no action is needed.',
+    'If not, change your password and sign out other devices from your account settings.'
+  ].join('\n');
+
+  const html = `
+    <p>Hi ${userName || 'Learner'},</p>
+    <p>Your account was just signed in from a new device:</p>
+    <ul>
+      <li>Time: <strong>${loginAtText}</strong></li>
+      <li>IP address: <strong>${escapeHtml(ipAddress || 'unknown')}</strong></li>
+      <li>Device: <strong>${escapeHtml(device)}</strong></li>
+      <li>Method: ${escapeHtml(method)}</li>
+    </ul>
+    <p>If this was you, no action is needed.</p>
+    <p>If not, change your password and sign out other devices from your account settings.</p>
+  `;
+
+  return sendMail({ to, subject, text, html });
+};
+
 module.exports = {
   sendMail,
   sendPaymentSubmittedEmail,
   sendAdminPaymentSubmittedAlertEmail,
   sendPaymentStatusEmail,
   sendNewCourseAnnouncementEmail,
-  sendPasswordResetOtpEmail
+  sendPasswordResetOtpEmail,
+  sendEmailVerificationOtpEmail,
+  sendEmailChangeOtpEmail,
+  sendEmailChangeNoticeEmail,
+  sendMagicLinkEmail,
+  sendInvitationEmail,
+  sendNewDeviceLoginEmail
 };
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { OidcLoginState, User } = require('../models');
+
+// Generic OpenID Connect (authorization code + PKCE). Works with Google or any compliant provider.
+const OIDC_STATE_TTL_MINUTES = 10;
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const getOidcConfig = () => ({
+  issuer: (process.env.OIDC_ISSUER || '').trim().replace(/\/+$/, ''),
+  clientId: (process.env.OIDC_CLIENT_ID || '').trim(),
+  clientSecret: (process.env.OIDC_CLIENT_SECRET || '').trim(),
+  redirectUri: (process.env.OIDC_REDIRECT_URI || '').trim(),
+  scope: (process.env.OIDC_SCOPE || 'openid email profile').trim()
+});
+
+const isOidcConfigured = () => {
+  const { issuer, clientId, redirectUri } = getOidcConfig();
+  return Boolean(issuer && clientId && redirectUri);
+};
+
+let metadataCache = null;
+let jwksCache = null;
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    const bodyText = await response.text();
+    throw new Error(`OIDC request to ${url} failed (${response.status}): ${bodyText.slice(0, 300)}`);
+  }
+  return response.json();
+};
+
+const getProviderMetadata = async () => {
+  const { issuer } = getOidcConfig();
+  if (metadataCache && metadataCache.issuer === issuer && metadataCache.fetchedAt > Date.now() - METADATA_CACHE_MS) {
+    return metadataCache.metadata;
+  }
+
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer?.replace(/\/+$/, '') !== issuer) {
+    throw new Error(`OIDC discovery issuer mismatch: expected ${issuer}, got ${metadata.issuer}`);
+  }
+
+  metadataCache = { issuer, metadata, fetchedAt: Date.now() };
+  return metadata;
+};
+
+// Public key for the token's `kid`; the key set is refetched once when the kid is unknown (key rotation).
+const getSigningKey = async (kid) => {
+  const { jwks_uri: jwksUri } = await getProviderMetadata();
+
+  const findKey = () => (jwksCache?.uri === jwksUri
+    ? jwksCache.keys.find((key) => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'))
+    : null);
+
+  let jwk = jwksCache?.fetchedAt > Date.now() - METADATA_CACHE_MS ? findKey() : null;
+  if (!jwk) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache = { uri: jwksUri, keys, fetchedAt: Date.now() };
+    jwk = findKey();
+  }
+
+  if (!jwk) {
+    throw new Error('OIDC signing key not found');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const base64UrlSha256 = (value) => crypto.createHash('sha256').update(value).digest('base64url');
+
+/**
+ * Start a login: store state/nonce/PKCE verifier and return the provider authorization URL
+ * plus a `clientVerifier` the browser keeps until the callback.
+ */
+const createAuthorizationRequest = async () => {
+  const { clientId, redirectUri, scope } = getOidcConfig();
+  const metadata = await getProviderMetadata();
+
+  const state = crypto.randomBytes(24).toString('base64url');
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+  const clientVerifier = crypto.randomBytes(32).toString('base64url');
+
+  await OidcLoginState.create({
+    state,
+    nonce,
+    codeVerifier,
+    clientVerifierHash: base64UrlSha256(clientVerifier),
+    expiresAt: new Date(Date.now() + OIDC_STATE_TTL_MINUTES * 60 * 1000)
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope,
+    state,
+    nonce,
+    code_challenge: base64UrlSha256(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+
+  return { authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`, state, clientVerifier };
+};
+
+/**
+ * Finish a login: consume the state, exchange the code and verify the ID token.
+ * Returns the verified claims, or null when the state is unknown/expired or was started
+ * by another browser (client verifier mismatch).
+ */
+const completeAuthorization = async ({ code, state, clientVerifier }) => {
+  const pending = await OidcLoginState.findOneAndDelete({
+    state,
+    clientVerifierHash: base64UrlSha256(clientVerifier),
+    expiresAt: { $gt: new Date() }
+  });
+  if (!pending) return null;
+
+  const { issuer, clientId, clientSecret, redirectUri } = getOidcConfig();
+  const metadata = await getProviderMetadata();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    code_verifier: pending.codeVerifier
+  });
+  if (clientSecret) {
+    body.set('client_secret', clientSecret);
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body
+  });
+
+  if (!tokens.id_token) {
+    throw new Error('OIDC token response has no id_token');
+  }
+
+  const header = jwt.decode(tokens.id_token, { complete: true })?.header;
+  const signingKey = await getSigningKey(header?.kid);
+  const claims = jwt.verify(tokens.id_token, signingKey, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: [issuer, `${issuer}/`],
+    audience: clientId
+  });
+
+  if (claims.nonce !== pending.nonce) {
+    throw new Error('OIDC nonce mismatch');
+  }
+
+  return claims;
+};
+
+/**
+ * Find the account for verified ID token claims: linked subject first, then verified email,
+ * otherwise create a student. Returns { user, created, linked } or { error, status }.
+ */
+const resolveOidcUser = async (claims) => {
+  const { issuer } = getOidcConfig();
+  const subject = claims.sub?.toString();
+  if (!subject) {
+    return { status: 400, error: 'Identity provider did not return a subject' };
+  }
+
+  let user = await User.findOne({ oidcIssuer: issuer, oidcSubject: subject });
+  if (user) return { user, created: false, linked: false };
+
+  const email = claims.email?.toString().trim().toLowerCase();
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  if (!email || !emailVerified) {
+    return { status: 400, error: 'Your identity provider account has no verified email address' };
+  }
+
+  user = await User.findOne({ email });
+  if (user) {
+    if (user.oidcSubject && user.oidcIssuer === issuer) {
+      return { status: 409, error: 'This email is already linked to a different sign-in account' };
+    }
+
+    // An unverified local account may have been registered by someone else with this
+    // address. Replace its password so that person loses access once the real owner links.
+    const takeOverUnverified = !user.emailVerified;
+    user.oidcIssuer = issuer;
+    user.oidcSubject = subject;
+    user.emailVerified = true;
+    if (takeOverUnverified) {
+      user.password = crypto.randomBytes(32).toString('hex');
+      user.$locals.generatedPassword = true;
+    }
+    await user.save();
+    return { user, created: false, linked: true, takeOverUnverified };
+  }
+
+  const fallbackName = email.split('@')[0];
+  user = new User({
+    name: (claims.name || claims.given_name || fallbackName).toString().slice(0, 100),
+    email,
+    // Never used to log in; the student can set one through forgot-password.
+    password: crypto.randomBytes(32).toString('hex'),
+    role: 'student',
+    emailVerified: true,
+    oidcIssuer: issuer,
+    oidcSubject: subject
+  });
+  user.$locals.generatedPassword = true;
+  await user.save();
+
+  return { user, created: true, linked: false };
+};
+
+module.exports = {
+  isOidcConfigured,
+  createAuthorizationRequest,
+  completeAuthorization,
+  resolveOidcUser
+};
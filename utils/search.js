@@ -0,0 +1,71 @@
+const escapeRegex = (value) => value.toString().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
+const SNIPPET_CONTEXT_CHARS = 60;
+
+/**
+ * Words from a search query, reduced to a rough stem so highlighting follows MongoDB's
+ * stemmed text matching ("videos" also marks "video", "editing" marks "edit").
+ */
+const extractSearchTerms = (query = '') =>
+  Array.from(new Set(
+    query
+      .toLowerCase()
+      .split(/[^\p{L}\p{M}\p{N}]+/u)
+      .filter((word) => word.length >= 2)
+      .map((word) => (word.length > 4 && /^[a-z]+$/.test(word) ? word.replace(/(ing|ed|es|s)$/, '') : word))
+  ));
+
+/**
+ * HTML-safe snippet of `text` with matched words wrapped in <mark>. Long text is cut
+ * around the first match. Returns null when nothing matches.
+ */
+const highlightText = (text, terms) => {
+  if (!text || !terms.length) return null;
+
+  const pattern = new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(${terms.map(escapeRegex).join('|')})[\\p{L}\\p{M}\\p{N}]*`, 'giu');
+  const firstMatch = pattern.exec(text);
+  if (!firstMatch) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_CONTEXT_CHARS * 3) {
+    start = Math.max(0, firstMatch.index - SNIPPET_CONTEXT_CHARS);
+    end = Math.min(text.length, firstMatch.index + firstMatch[0].length + SNIPPET_CONTEXT_CHARS * 2);
+  }
+
+  const snippet = text.slice(start, end);
+  pattern.lastIndex = 0;
+  let html = '';
+  let cursor = 0;
+  for (const match of snippet.matchAll(pattern)) {
+    html += `${escapeHtml(snippet.slice(cursor, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    cursor = match.index + match[0].length;
+  }
+  html += escapeHtml(snippet.slice(cursor));
+
+  return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+};
+
+// Highlights for the given fields of a document, skipping fields without matches.
+const buildHighlights = (doc, fields, terms) =>
+  fields.reduce((highlights, field) => {
+    const value = Array.isArray(doc[field]) ? doc[field].join(', ') : doc[field];
+    const highlighted = highlightText(value, terms);
+    if (highlighted) highlights[field] = highlighted;
+    return highlights;
+  }, {});
+
+module.exports = {
+  escapeRegex,
+  extractSearchTerms,
+  highlightText,
+  buildHighlights
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { Session } = require('../models');
+const { generateToken } = require('../middleware/auth');
+
+const REFRESH_TOKEN_EXPIRE_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Concurrent sessions allowed per student account; 0 disables the limit.
+const parsedDeviceLimit = Number(process.env.STUDENT_MAX_DEVICES);
+const STUDENT_MAX_DEVICES = Number.isInteger(parsedDeviceLimit) && parsedDeviceLimit >= 0 ? parsedDeviceLimit : 3;
+// `evict_oldest` signs out the least recently used device; `reject` refuses the new login.
+const DEVICE_LIMIT_POLICY = process.env.DEVICE_LIMIT_POLICY === 'reject' ? 'reject' : 'evict_oldest';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const getRefreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+const getRequestMeta = (req) => ({
+  userAgent: (req?.headers?.['user-agent'] || '').toString().slice(0, 500),
+  ipAddress: req?.ip || req?.socket?.remoteAddress || ''
+});
+
+// Start a new login session and issue its first access/refresh token pair.
+const createSession = async (userId, req) => {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    userId,
+    refreshTokenHash: hashToken(refreshToken),
+    ...getRequestMeta(req),
+    lastUsedAt: Date.now(),
+    expiresAt: getRefreshExpiry()
+  });
+
+  return {
+    session,
+    token: generateToken(userId, session._id),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new pair. The old refresh token stops working immediately.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextRefreshToken = generateRefreshToken();
+
+  // Conditional update so two concurrent refreshes cannot both succeed with the same token.
+  const session = await Session.findOneAndUpdate(
+    {
+      refreshTokenHash: tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        previousRefreshTokenHash: tokenHash,
+        ...getRequestMeta(req),
+        lastUsedAt: Date.now(),
+        expiresAt: getRefreshExpiry()
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A rotated-out token being replayed means it leaked. End that session for everyone.
+    await Session.updateOne(
+      { previousRefreshTokenHash: tokenHash, revokedAt: null },
+      { $set: { revokedAt: Date.now(), revokedReason: 'refresh_token_reuse' } }
+    );
+    return null;
+  }
+
+  return {
+    session,
+    token: generateToken(session.userId, session._id),
+    refreshToken: nextRefreshToken
+  };
+};
+
+const revokeSession = async (sessionId, userId, reason = 'logout') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: Date.now(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+const revokeUserSessions = async (userId, { exceptSessionId = null, reason = 'revoked' } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: Date.now(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+};
+
+/**
+ * Start a login session under the student device limit. The session is created first and
+ * then checked against the active sessions created before it (ObjectId order), so two
+ * parallel logins cannot both take the last slot. Sessions with the same user agent and IP
+ * count as the same device and are replaced once the login is accepted. Returns the
+ * createSession result, or { deviceLimit: { message, code, maxDevices } } when the `reject`
+ * policy refuses the login.
+ */
+const createDeviceSession = async (user, req) => {
+  const created = await createSession(user._id, req);
+  if (user.role !== 'student' || STUDENT_MAX_DEVICES === 0) return created;
+
+  const { session } = created;
+  const earlierSessions = await Session.find({
+    userId: user._id,
+    _id: { $lt: session._id },
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: 1 }).select('_id userAgent ipAddress');
+
+  const isSameDevice = (other) => other.userAgent === session.userAgent && other.ipAddress === session.ipAddress;
+  const sameDevice = earlierSessions.filter(isSameDevice);
+  const otherDevices = earlierSessions.filter((other) => !isSameDevice(other));
+  const excess = otherDevices.length - STUDENT_MAX_DEVICES + 1;
+
+  if (excess > 0 && DEVICE_LIMIT_POLICY === 'reject') {
+    await revokeSession(session._id, user._id, 'device_limit_rejected');
+    return {
+      deviceLimit: {
+        message: `This account is already signed in on ${STUDENT_MAX_DEVICES} device(s). Sign out on another device first.`,
+        code: 'DEVICE_LIMIT_REACHED',
+        maxDevices: STUDENT_MAX_DEVICES
+      }
+    };
+  }
+
+  const revokeMany = (sessions, reason) => Session.updateMany(
+    { _id: { $in: sessions.map((other) => other._id) }, revokedAt: null },
+    { $set: { revokedAt: Date.now(), revokedReason: reason } }
+  );
+
+  if (sameDevice.length) {
+    await revokeMany(sameDevice, 'replaced_same_device');
+  }
+  if (excess > 0) {
+    await revokeMany(otherDevices.slice(0, excess), 'device_limit');
+  }
+  return created;
+};
+
+const listActiveSessions = (userId) =>
+  Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 })
+    .select('userAgent ipAddress lastUsedAt expiresAt createdAt');
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions,
+  createDeviceSession,
+  STUDENT_MAX_DEVICES
+};
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+// Signed, expiring video URLs so the <video> tag never carries a session token.
+// A signature covers one level, one user and one login session.
+const STREAM_URL_TTL_SECONDS = Number(process.env.STREAM_URL_TTL_SECONDS) || 2 * 60 * 60;
+
+const getStreamSigningSecret = () =>
+  process.env.STREAM_URL_SECRET || process.env.JWT_SECRET || 'fallback-secret';
+
+const signStreamPayload = ({ levelId, userId, sessionId, expiresAt }) =>
+  crypto
+    .createHmac('sha256', getStreamSigningSecret())
+    .update(`stream:${levelId}:${userId}:${sessionId}:${expiresAt}`)
+    .digest('base64url');
+
+const createStreamUrl = ({ levelId, userId, sessionId }) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + STREAM_URL_TTL_SECONDS;
+  const params = new URLSearchParams({
+    uid: userId.toString(),
+    sid: sessionId.toString(),
+    exp: String(expiresAt),
+    sig: signStreamPayload({ levelId, userId, sessionId, expiresAt })
+  });
+
+  return {
+    url: `/api/levels/${levelId}/stream?${params.toString()}`,
+    expiresAt: new Date(expiresAt * 1000)
+  };
+};
+
+/**
+ * Returns 'valid', 'expired' or 'invalid'. The signature is checked before the expiry
+ * so a tampered exp value is reported as invalid.
+ */
+const verifyStreamSignature = ({ levelId, userId, sessionId, expiresAt, signature }) => {
+  if (!levelId || !userId || !sessionId || !expiresAt || !signature) return 'invalid';
+
+  const expected = Buffer.from(signStreamPayload({ levelId, userId, sessionId, expiresAt }));
+  const provided = Buffer.from(signature.toString());
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return 'invalid';
+  }
+
+  return Number(expiresAt) * 1000 > Date.now() ? 'valid' : 'expired';
+};
+
+module.exports = {
+  createStreamUrl,
+  verifyStreamSignature
+};
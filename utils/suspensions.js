@@ -0,0 +1,173 @@
+const jwt = require('jsonwebtoken');
+const { User, Suspension, ReactivationRequest } = require('../models');
+
+const REACTIVATION_TOKEN_PURPOSE = 'reactivation_request';
+const REACTIVATION_TOKEN_EXPIRE = '30m';
+// Requests a student may send per suspension (denied ones included).
+const REACTIVATION_MAX_REQUESTS = Number(process.env.REACTIVATION_MAX_REQUESTS) || 3;
+
+const getCurrentSuspension = (userId) =>
+  Suspension.findOne({ userId, liftedAt: null }).sort({ createdAt: -1 });
+
+const cancelPendingReactivationRequests = (userId) =>
+  ReactivationRequest.updateMany(
+    { userId, status: 'pending' },
+    { $set: { status: 'cancelled', reviewedAt: new Date() } }
+  );
+
+/**
+ * Close a suspension record and cancel the student's pending reactivation requests.
+ * Does not touch the user's status; callers decide what it becomes.
+ */
+const liftSuspension = async (suspension, { reason, liftedBy = null }) => {
+  suspension.liftedAt = new Date();
+  suspension.liftedBy = liftedBy;
+  suspension.liftReason = reason;
+  await suspension.save();
+  await cancelPendingReactivationRequests(suspension.userId);
+};
+
+/**
+ * Reactivate students whose timed suspension has run out. There is no scheduler:
+ * this runs when a suspended student signs in and when admins list students.
+ */
+const liftExpiredSuspensions = async (filter = {}) => {
+  const expired = await Suspension.find({
+    ...filter,
+    liftedAt: null,
+    expiresAt: { $ne: null, $lte: new Date() }
+  });
+
+  for (const suspension of expired) {
+    await liftSuspension(suspension, { reason: 'expired' });
+    await User.updateOne({ _id: suspension.userId, status: 'suspended' }, { $set: { status: 'active' } });
+  }
+
+  return expired.length;
+};
+
+// Bring a loaded user's status up to date before checking it.
+const refreshSuspensionStatus = async (user) => {
+  if (user?.status !== 'suspended') return;
+  if (await liftExpiredSuspensions({ userId: user._id })) {
+    user.status = 'active';
+  }
+};
+
+/**
+ * Suspend a student. An existing open suspension is closed as `replaced` so the
+ * history keeps both reasons.
+ */
+const suspendUser = async (user, { reason, message, expiresAt, suspendedBy }) => {
+  const current = await getCurrentSuspension(user._id);
+  if (current) {
+    await liftSuspension(current, { reason: 'replaced', liftedBy: suspendedBy });
+  }
+
+  return Suspension.create({
+    userId: user._id,
+    reason,
+    message,
+    expiresAt,
+    suspendedBy
+  });
+};
+
+// Short-lived proof that a suspended student passed sign-in, used to submit a reactivation request.
+const createReactivationToken = (userId) =>
+  jwt.sign(
+    { id: userId, purpose: REACTIVATION_TOKEN_PURPOSE },
+    process.env.JWT_SECRET || 'fallback-secret',
+    { expiresIn: REACTIVATION_TOKEN_EXPIRE }
+  );
+
+const verifyReactivationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
+    return decoded?.purpose === REACTIVATION_TOKEN_PURPOSE ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * 403 body for an account that is not active. For suspensions it carries the admin's
+ * message and end date, and the latest reactivation request. Pass
+ * `allowReactivationRequest` only once the user has proven who they are (sign-in).
+ */
+const buildAccountInactiveResponse = async (user, { allowReactivationRequest = false } = {}) => {
+  if (user.status !== 'suspended') {
+    return {
+      message: 'Account is not active. Please contact support.',
+      code: 'ACCOUNT_INACTIVE'
+    };
+  }
+
+  const suspension = await getCurrentSuspension(user._id);
+  const latestRequest = await ReactivationRequest.findOne(
+    suspension ? { userId: user._id, suspensionId: suspension._id } : { userId: user._id }
+  ).sort({ createdAt: -1 });
+  const requestCount = suspension
+    ? await ReactivationRequest.countDocuments({ userId: user._id, suspensionId: suspension._id })
+    : 0;
+  const canRequest = latestRequest?.status !== 'pending' && requestCount < REACTIVATION_MAX_REQUESTS;
+
+  return {
+    message: suspension?.message || 'Your account has been suspended. Please contact support.',
+    code: 'ACCOUNT_SUSPENDED',
+    suspension: {
+      message: suspension?.message || '',
+      suspendedAt: suspension?.createdAt || null,
+      expiresAt: suspension?.expiresAt || null
+    },
+    reactivationRequest: latestRequest
+      ? {
+        status: latestRequest.status,
+        createdAt: latestRequest.createdAt,
+        reviewedAt: latestRequest.reviewedAt,
+        reviewNote: latestRequest.reviewNote
+      }
+      : null,
+    reactivationToken: allowReactivationRequest && canRequest ? createReactivationToken(user._id) : null
+  };
+};
+
+/**
+ * Record a reactivation request for a suspended student.
+ * Returns { request } or { error, status } for the route to send.
+ */
+const submitReactivationRequest = async (user, message) => {
+  if (user.status !== 'suspended') {
+    return { error: 'Account is not suspended', status: 400 };
+  }
+
+  const suspension = await getCurrentSuspension(user._id);
+  const scope = suspension ? { userId: user._id, suspensionId: suspension._id } : { userId: user._id };
+
+  if (await ReactivationRequest.exists({ ...scope, status: 'pending' })) {
+    return { error: 'A reactivation request is already waiting for review', status: 409 };
+  }
+
+  if (suspension && await ReactivationRequest.countDocuments(scope) >= REACTIVATION_MAX_REQUESTS) {
+    return { error: 'No more reactivation requests can be sent for this suspension. Please contact support.', status: 429 };
+  }
+
+  const request = await ReactivationRequest.create({
+    userId: user._id,
+    suspensionId: suspension?._id || null,
+    message
+  });
+
+  return { request };
+};
+
+module.exports = {
+  getCurrentSuspension,
+  liftSuspension,
+  liftExpiredSuspensions,
+  refreshSuspensionStatus,
+  suspendUser,
+  verifyReactivationToken,
+  buildAccountInactiveResponse,
+  submitReactivationRequest
+};
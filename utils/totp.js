@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// compatible with Google Authenticator, Authy, 1Password, etc.
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input = '') => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const getCurrentStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+
+const generateTotpCode = (secret, step = getCurrentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Check a code against the current step and one step either side (clock drift).
+ * Returns the matched step so callers can reject replays, or null.
+ */
+const verifyTotpCode = (secret, code, { window = 1, timestamp = Date.now() } = {}) => {
+  const normalized = (code || '').toString().replace(/\s+/g, '');
+  if (!secret || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const currentStep = getCurrentStep(timestamp);
+  const expected = Buffer.from(normalized);
+
+  for (let offset = -window; offset <= window; offset += 1) {
+    const step = currentStep + offset;
+    const candidate = Buffer.from(generateTotpCode(secret, step));
+    if (crypto.timingSafeEqual(candidate, expected)) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+const buildOtpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateTotpSecret,
+  generateTotpCode,
+  verifyTotpCode,
+  buildOtpauthUrl
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const { generateTotpSecret, verifyTotpCode, buildOtpauthUrl } = require('./totp');
+const { getLoginLockout, recordLoginFailure } = require('./authThrottle');
+
+const TOTP_ISSUER = (process.env.TOTP_ISSUER || 'Video Learning Platform').trim();
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_EXPIRE = '5m';
+const LOGIN_CHALLENGE_PURPOSE = '2fa_login';
+
+const normalizeRecoveryCode = (code) =>
+  (code || '').toString().trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+// Accept a TOTP code at most once: the stored step only moves forward, so a replayed code fails.
+const consumeTotpCode = async (userId, secret, code) => {
+  const step = verifyTotpCode(secret, code);
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }]
+    },
+    { $set: { twoFactorLastUsedStep: step } }
+  );
+  return result.modifiedCount > 0;
+};
+
+const consumeRecoveryCode = async (userId, code) => {
+  if (!normalizeRecoveryCode(code)) return false;
+
+  const codeHash = hashRecoveryCode(code);
+  const result = await User.updateOne(
+    { _id: userId, twoFactorRecoveryCodeHashes: codeHash },
+    { $pull: { twoFactorRecoveryCodeHashes: codeHash } }
+  );
+  return result.modifiedCount > 0;
+};
+
+const startTwoFactorEnrollment = async (user) => {
+  const secret = generateTotpSecret();
+  await User.updateOne({ _id: user._id }, { $set: { twoFactorPendingSecret: secret } });
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+  };
+};
+
+/**
+ * Confirm the pending secret with a code from the authenticator app.
+ * Returns fresh recovery codes (shown to the user once), or null when the code is wrong.
+ */
+const confirmTwoFactorEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactorPendingSecret');
+  if (!user?.twoFactorPendingSecret) return null;
+
+  const step = verifyTotpCode(user.twoFactorPendingSecret, code);
+  if (step === null) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        twoFactorEnabled: true,
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorLastUsedStep: step,
+        twoFactorRecoveryCodeHashes: recoveryCodes.map(hashRecoveryCode)
+      },
+      $unset: { twoFactorPendingSecret: '' }
+    }
+  );
+
+  return recoveryCodes;
+};
+
+const regenerateRecoveryCodes = async (userId) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    { $set: { twoFactorRecoveryCodeHashes: recoveryCodes.map(hashRecoveryCode) } }
+  );
+  return recoveryCodes;
+};
+
+const createLoginChallenge = (userId) =>
+  jwt.sign(
+    { id: userId, purpose: LOGIN_CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET || 'fallback-secret',
+    { expiresIn: LOGIN_CHALLENGE_EXPIRE }
+  );
+
+const verifyLoginChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET || 'fallback-secret');
+    return decoded?.purpose === LOGIN_CHALLENGE_PURPOSE ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Second login step: accepts either a TOTP code or an unused recovery code.
+ */
+const verifyLoginSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    return consumeTotpCode(user._id, user.twoFactorSecret, code);
+  }
+  if (recoveryCode) {
+    return consumeRecoveryCode(user._id, recoveryCode);
+  }
+  return false;
+};
+
+/**
+ * Step-up check for sensitive admin actions (QR changes, role changes).
+ * Only a fresh authenticator code is accepted here, never a recovery code. Wrong codes
+ * count towards the same lockout as failed logins, for the account and `ipAddress`.
+ */
+const verifyFreshTwoFactorCode = async (userId, code, { ipAddress }) => {
+  const normalizedCode = code === undefined || code === null ? '' : String(code).trim();
+  if (!normalizedCode) {
+    return {
+      ok: false,
+      status: 400,
+      code: 'TOTP_REQUIRED',
+      message: 'Authenticator code is required for this action'
+    };
+  }
+  if (!/^\d{6}$/.test(normalizedCode)) {
+    return {
+      ok: false,
+      status: 400,
+      code: 'INVALID_TOTP',
+      message: 'Authenticator code must be 6 digits'
+    };
+  }
+
+  const user = await User.findById(userId).select('+twoFactorSecret');
+  if (!user) {
+    return { ok: false, status: 404, code: 'USER_NOT_FOUND', message: 'Admin user not found' };
+  }
+
+  if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+    return {
+      ok: false,
+      status: 403,
+      code: 'TWO_FACTOR_SETUP_REQUIRED',
+      message: 'Enable two-factor authentication before performing this action'
+    };
+  }
+
+  const lockout = await getLoginLockout({ email: user.email, ipAddress });
+  if (lockout) {
+    return {
+      ok: false,
+      status: 429,
+      code: 'LOGIN_LOCKED',
+      message: lockout.message,
+      retryAfterSeconds: lockout.retryAfterSeconds
+    };
+  }
+
+  const accepted = await consumeTotpCode(user._id, user.twoFactorSecret, normalizedCode);
+  if (!accepted) {
+    await recordLoginFailure({ email: user.email, ipAddress });
+    return {
+      ok: false,
+      status: 401,
+      code: 'INVALID_TOTP',
+      message: 'Invalid or already used authenticator code'
+    };
+  }
+
+  return { ok: true };
+};
+
+module.exports = {
+  startTwoFactorEnrollment,
+  confirmTwoFactorEnrollment,
+  regenerateRecoveryCodes,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  verifyLoginSecondFactor,
+  verifyFreshTwoFactorCode
+};